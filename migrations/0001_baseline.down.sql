@@ -0,0 +1,24 @@
+-- Migration 0001: baseline (down)
+-- Removes everything the baseline created: all data in userAuth is lost.
+
+DROP FUNCTION IF EXISTS signup(INTEGER, VARCHAR(255), VARCHAR(255));
+DROP FUNCTION IF EXISTS authenticate(VARCHAR(255), VARCHAR(255));
+DROP FUNCTION IF EXISTS get_user_details(VARCHAR(255));
+DROP FUNCTION IF EXISTS delete_user(VARCHAR(255));
+DROP FUNCTION IF EXISTS change_password(VARCHAR(255), VARCHAR(255), VARCHAR(255));
+DROP FUNCTION IF EXISTS change_email(VARCHAR(255), VARCHAR(255), VARCHAR(255));
+DROP FUNCTION IF EXISTS get_all_users();
+DROP FUNCTION IF EXISTS user_exists(VARCHAR(255));
+DROP FUNCTION IF EXISTS ensure_indexes();
+DROP FUNCTION IF EXISTS get_index_info();
+DROP FUNCTION IF EXISTS test_index_performance(VARCHAR(255));
+
+-- Drops the update_userauth_updated_at trigger with it
+DROP TABLE IF EXISTS userAuth;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+DROP EXTENSION IF EXISTS pgcrypto;
+
+-- Remove the application role
+DROP OWNED BY authuser;
+DROP USER authuser;
@@ -1,3 +1,9 @@
+-- Migration 0001: baseline
+-- The schema, functions and grants previously loaded from docker/postgres/init.sql on
+-- first container start, unchanged apart from the authuser password. Databases created
+-- from that file are recorded as migrated with `npm run migrate baseline` instead of
+-- running it; every later change is a migration of its own.
+
 -- Enable pgcrypto extension
 CREATE EXTENSION IF NOT EXISTS pgcrypto;
 
@@ -34,7 +40,20 @@ CREATE TRIGGER update_userauth_updated_at
 
 -- Create dedicated authuser for authentication operations
 -- This user will ONLY have execute permissions on functions
-CREATE USER authuser WITH PASSWORD 'authuser123';
+-- The password is the one the API connects with (DB_PASSWORD), passed by the migration
+-- runner as the migrate.authuser_password setting. An existing role is left as it is.
+DO $$
+DECLARE
+    v_password TEXT := NULLIF(current_setting('migrate.authuser_password', true), '');
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authuser') THEN
+        IF v_password IS NULL THEN
+            RAISE EXCEPTION 'Role authuser does not exist and no password was given for it (set DB_PASSWORD)';
+        END IF;
+        EXECUTE format('CREATE USER authuser WITH PASSWORD %L', v_password);
+    END IF;
+END;
+$$;
 
 -- ============================================================================
 -- SECURITY MODEL: Proper permission setup
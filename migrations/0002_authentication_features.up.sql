@@ -0,0 +1,2194 @@
+-- Migration 0002: authentication features
+-- Brings the baseline schema up to what the API needs: bcrypt hashing, public IDs,
+-- email normalization, lockout, email verification, password history and expiry,
+-- refresh and reset tokens, two-factor authentication, roles, rate limiting, the
+-- audit log and their settings. Existing accounts are kept: their SHA-256 passwords
+-- keep working and are re-hashed with bcrypt at the next login, and they get the
+-- 'user' role.
+--
+-- The down file cannot turn re-hashed passwords back into the SHA-256 hashes the
+-- baseline functions expect; restore a backup taken before the upgrade to keep them.
+
+-- Email addresses
+-- Addresses are stored normalized (normalize_email()) and compared case-insensitively
+-- through email_key(), which the unique index idx_userauth_mail_key is built on. The API
+-- normalizes addresses the same way before they reach the database (src/utils/email.js)
+-- and additionally converts internationalized domains to punycode, which is not done here.
+
+-- Helper returning the case-insensitive identity of an email address
+CREATE OR REPLACE FUNCTION email_key(p_mail VARCHAR(255))
+RETURNS TEXT
+AS $$
+    SELECT lower(btrim(normalize(p_mail, NFC)));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Helper returning the normalized form of an email address, as stored in userAuth.mail:
+-- surrounding spaces removed, Unicode NFC, domain lowercased and the local part lowercased
+-- unless the auth.email_lowercase_local_part setting is 0
+CREATE OR REPLACE FUNCTION normalize_email(p_mail VARCHAR(255))
+RETURNS VARCHAR(255)
+AS $$
+DECLARE
+    v_address TEXT := btrim(normalize(p_mail, NFC));
+    v_local TEXT := COALESCE(substring(v_address FROM '^(.*)@'), v_address);
+    v_domain TEXT := substring(v_address FROM '@([^@]*)$');
+BEGIN
+    IF auth_setting('email_lowercase_local_part', 1) <> 0 THEN
+        v_local := lower(v_local);
+    END IF;
+
+    IF v_domain IS NULL THEN
+        RETURN v_local;
+    END IF;
+
+    RETURN v_local || '@' || lower(v_domain);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- The baseline functions returning user rows now return different columns, which
+-- CREATE OR REPLACE cannot change; they are recreated (and granted again) below
+DROP FUNCTION IF EXISTS get_user_details(VARCHAR(255));
+DROP FUNCTION IF EXISTS get_all_users();
+
+-- Extend the userAuth table
+-- userId is internal (foreign keys, audit log); public_id is the identifier exposed by the API.
+-- password_changed_at drives password expiry (auth.password_max_age_days); an administrator
+-- sets password_change_required to force a change at the next login. Existing passwords
+-- count as set at upgrade time.
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS public_id UUID UNIQUE NOT NULL DEFAULT gen_random_uuid();
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS password_change_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Password hashing algorithm of each row (see verify_password()). Existing rows only hold
+-- SHA-256 hashes: the column is added with 'sha256' for them, then defaults to 'bcrypt'
+-- for new ones. The salt becomes optional since bcrypt embeds it in the hash.
+ALTER TABLE userAuth ADD COLUMN IF NOT EXISTS hash_algorithm VARCHAR(20) NOT NULL DEFAULT 'sha256';
+ALTER TABLE userAuth ALTER COLUMN hash_algorithm SET DEFAULT 'bcrypt';
+ALTER TABLE userAuth ALTER COLUMN salt DROP NOT NULL;
+
+-- The baseline signup() inserted client-supplied IDs without advancing the sequence
+SELECT setval('userauth_userid_seq', COALESCE(MAX(userId), 0) + 1, false) FROM userAuth;
+
+-- Create the refresh token table
+-- Only the SHA-256 hash of each token is stored; the raw token never reaches the database.
+-- Tokens issued by rotation share the family_id of the token they replaced, so a
+-- replayed (already rotated) token can revoke the whole family.
+CREATE TABLE IF NOT EXISTS refreshTokens (
+    tokenId SERIAL PRIMARY KEY,
+    userId INTEGER NOT NULL REFERENCES userAuth(userId) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refreshtokens_userid ON refreshTokens(userId);
+CREATE INDEX IF NOT EXISTS idx_refreshtokens_family_id ON refreshTokens(family_id);
+
+-- Create the password reset token table
+-- Like refresh tokens, only SHA-256 hashes are stored. Tokens are single use.
+CREATE TABLE IF NOT EXISTS passwordResetTokens (
+    tokenId SERIAL PRIMARY KEY,
+    userId INTEGER NOT NULL REFERENCES userAuth(userId) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_passwordresettokens_userid ON passwordResetTokens(userId);
+
+-- Create the password history table
+-- Previous password hashes of each account (same columns as userAuth), so a password
+-- change or reset can reject recently used passwords. Pruned by push_password_history()
+-- to the auth.password_history_size setting.
+CREATE TABLE IF NOT EXISTS passwordHistory (
+    historyId SERIAL PRIMARY KEY,
+    userId INTEGER NOT NULL REFERENCES userAuth(userId) ON DELETE CASCADE,
+    salt VARCHAR(255),
+    hashpass VARCHAR(255) NOT NULL,
+    hash_algorithm VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_passwordhistory_userid ON passwordHistory(userId, historyId);
+
+-- Create the email verification token table (hashed, single use)
+CREATE TABLE IF NOT EXISTS emailVerificationTokens (
+    tokenId SERIAL PRIMARY KEY,
+    userId INTEGER NOT NULL REFERENCES userAuth(userId) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_emailverificationtokens_userid ON emailVerificationTokens(userId);
+
+-- Create the TOTP authenticator table (one authenticator per account)
+-- secret_encrypted holds the TOTP secret encrypted by the application (AES-256-GCM with
+-- MFA_ENCRYPTION_KEY), so the secret is never stored or readable in clear from the database.
+-- confirmed_at stays NULL until the user proves the authenticator works with a first code;
+-- last_used_step is the last accepted TOTP time step, so a code cannot be replayed.
+CREATE TABLE IF NOT EXISTS userTotp (
+    userId INTEGER PRIMARY KEY REFERENCES userAuth(userId) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    confirmed_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create the MFA login challenge table (hashed, single use)
+-- A password login of an account with TOTP enabled yields a challenge that must be
+-- completed with a valid code before any token is issued.
+CREATE TABLE IF NOT EXISTS mfaChallenges (
+    challengeId SERIAL PRIMARY KEY,
+    userId INTEGER NOT NULL REFERENCES userAuth(userId) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfachallenges_userid ON mfaChallenges(userId);
+
+-- Create the roles tables
+-- 'user' is granted to every account at signup, 'admin' unlocks user administration.
+-- Additional custom roles can be created with create_role().
+CREATE TABLE IF NOT EXISTS roles (
+    roleId SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS userRoles (
+    userId INTEGER NOT NULL REFERENCES userAuth(userId) ON DELETE CASCADE,
+    roleId INTEGER NOT NULL REFERENCES roles(roleId) ON DELETE CASCADE,
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (userId, roleId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_userroles_roleid ON userRoles(roleId);
+
+-- Built-in roles
+INSERT INTO roles (name, description) VALUES
+    ('user', 'Default role granted to every account'),
+    ('admin', 'User administration and diagnostics')
+ON CONFLICT (name) DO NOTHING;
+
+-- Existing accounts get the default role too
+INSERT INTO userRoles (userId, roleId)
+SELECT ua.userId, r.roleId FROM userAuth ua CROSS JOIN roles r WHERE r.name = 'user'
+ON CONFLICT DO NOTHING;
+
+-- Create the rate limit table (shared store for multi-instance rate limiting)
+-- One row per key and fixed window; window_start/expires_at are epoch seconds.
+CREATE TABLE IF NOT EXISTS rateLimitHits (
+    bucket_key VARCHAR(512) NOT NULL,
+    window_start BIGINT NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    expires_at BIGINT NOT NULL,
+    PRIMARY KEY (bucket_key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ratelimithits_expires_at ON rateLimitHits(expires_at);
+
+-- Create the audit log table (append-only)
+-- Rows are written by the SECURITY DEFINER functions themselves (record_audit_event()),
+-- so credential operations are recorded whichever client calls the functions.
+-- actor, ip and user_agent come from the audit.actor, audit.ip and audit.user_agent
+-- settings the application sets for the transaction of each call (NULL when unset).
+-- target_user_id has no foreign key so events outlive deleted accounts.
+CREATE TABLE IF NOT EXISTS auditLog (
+    eventId BIGSERIAL PRIMARY KEY,
+    event_type VARCHAR(50) NOT NULL,
+    outcome VARCHAR(20) NOT NULL,
+    actor VARCHAR(255),
+    target_user_id INTEGER,
+    target_email VARCHAR(255),
+    ip VARCHAR(64),
+    user_agent VARCHAR(512),
+    details JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditlog_created_at ON auditLog(created_at);
+CREATE INDEX IF NOT EXISTS idx_auditlog_target_email ON auditLog(target_email, created_at);
+CREATE INDEX IF NOT EXISTS idx_auditlog_actor ON auditLog(actor, created_at);
+CREATE INDEX IF NOT EXISTS idx_auditlog_event_type ON auditLog(event_type, created_at);
+
+-- Create a function rejecting changes to audit log rows
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'auditLog is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create triggers keeping the audit log append-only (for the table owner too)
+CREATE TRIGGER auditlog_no_update_delete
+    BEFORE UPDATE OR DELETE ON auditLog
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_audit_log_change();
+
+CREATE TRIGGER auditlog_no_truncate
+    BEFORE TRUNCATE ON auditLog
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION reject_audit_log_change();
+
+-- Authentication settings (read by the functions below through auth_setting(), with the
+-- defaults of the API configuration when a setting is unset)
+--   auth.bcrypt_cost            bcrypt work factor (4-31). Raising it makes existing hashes
+--                               be re-hashed with the new cost on each user's next successful login.
+--   auth.lockout_threshold      failed logins in a row before the account is locked
+--   auth.lockout_base_seconds   duration of the first lockout; doubles with every further lockout
+--   auth.lockout_max_seconds    upper bound for the lockout duration
+--   auth.mfa_max_attempts       wrong codes accepted per MFA login challenge before it is invalidated
+--   auth.password_history_size  number of most recent passwords (the current one included) a
+--                               password change or reset may not reuse; 0 disables the check
+--   auth.password_max_age_days  days after which a password expires and must be changed at the
+--                               next login; 0 (default) disables expiry
+--   auth.email_lowercase_local_part  1 (default) stores the local part of addresses lowercased, 0
+--                               keeps its case (matching stays case-insensitive)
+-- They are not set here: the migration runner takes them from the API configuration
+-- (src/config/index.js: BCRYPT_COST, LOCKOUT_*, MFA_MAX_ATTEMPTS, PASSWORD_HISTORY_SIZE,
+-- PASSWORD_MAX_AGE_DAYS, EMAIL_LOWERCASE_LOCAL_PART), passes them to this migration and
+-- stores them with ALTER DATABASE afterwards (src/config/migrations.js).
+
+-- ============================================================================
+-- SECURITY MODEL: Proper permission setup
+-- ============================================================================
+
+-- 1. POSTGRES USER (ADMIN) - Full access to everything
+-- Grant all privileges to postgres user (default owner)
+GRANT ALL PRIVILEGES ON TABLE userAuth TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE userauth_userid_seq TO postgres;
+GRANT ALL PRIVILEGES ON TABLE refreshTokens TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE refreshtokens_tokenid_seq TO postgres;
+GRANT ALL PRIVILEGES ON TABLE passwordResetTokens TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE passwordresettokens_tokenid_seq TO postgres;
+GRANT ALL PRIVILEGES ON TABLE passwordHistory TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE passwordhistory_historyid_seq TO postgres;
+GRANT ALL PRIVILEGES ON TABLE emailVerificationTokens TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE emailverificationtokens_tokenid_seq TO postgres;
+GRANT ALL PRIVILEGES ON TABLE userTotp TO postgres;
+GRANT ALL PRIVILEGES ON TABLE mfaChallenges TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE mfachallenges_challengeid_seq TO postgres;
+GRANT ALL PRIVILEGES ON TABLE roles TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE roles_roleid_seq TO postgres;
+GRANT ALL PRIVILEGES ON TABLE userRoles TO postgres;
+GRANT ALL PRIVILEGES ON TABLE rateLimitHits TO postgres;
+GRANT ALL PRIVILEGES ON TABLE auditLog TO postgres;
+GRANT ALL PRIVILEGES ON SEQUENCE auditlog_eventid_seq TO postgres;
+GRANT ALL PRIVILEGES ON ALL FUNCTIONS IN SCHEMA public TO postgres;
+
+-- 2. AUTHUSER - NO direct table access, ONLY function execution
+-- Grant minimal schema access
+GRANT USAGE ON SCHEMA public TO authuser;
+
+-- REVOKE all direct table access from authuser
+REVOKE ALL PRIVILEGES ON TABLE userAuth FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE userauth_userid_seq FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE refreshTokens FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE refreshtokens_tokenid_seq FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE passwordResetTokens FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE passwordresettokens_tokenid_seq FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE passwordHistory FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE passwordhistory_historyid_seq FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE emailVerificationTokens FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE emailverificationtokens_tokenid_seq FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE userTotp FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE mfaChallenges FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE mfachallenges_challengeid_seq FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE roles FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE roles_roleid_seq FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE userRoles FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE rateLimitHits FROM authuser;
+REVOKE ALL PRIVILEGES ON TABLE auditLog FROM authuser;
+REVOKE ALL PRIVILEGES ON SEQUENCE auditlog_eventid_seq FROM authuser;
+
+-- ============================================================================
+-- AUTHENTICATION FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+-- All functions use SECURITY DEFINER to run with creator's (postgres) privileges
+-- This allows authuser to execute functions while maintaining security
+
+-- Helper returning the role names of a user (no SECURITY DEFINER: it is only
+-- usable from inside the SECURITY DEFINER functions below)
+CREATE OR REPLACE FUNCTION get_role_names(p_user_id INTEGER)
+RETURNS VARCHAR(50)[]
+AS $$
+    SELECT COALESCE(array_agg(r.name ORDER BY r.name), '{}')::VARCHAR(50)[]
+    FROM userRoles ur
+    JOIN roles r ON r.roleId = ur.roleId
+    WHERE ur.userId = p_user_id;
+$$ LANGUAGE sql STABLE;
+
+-- Helper appending an audit event with the request context set by the application
+-- (no SECURITY DEFINER: it is only usable from inside the SECURITY DEFINER functions below)
+CREATE OR REPLACE FUNCTION record_audit_event(
+    p_event_type VARCHAR(50),
+    p_outcome VARCHAR(20),
+    p_target_user_id INTEGER,
+    p_target_email VARCHAR(255),
+    p_details JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO auditLog (event_type, outcome, actor, target_user_id, target_email, ip, user_agent, details)
+    VALUES (
+        p_event_type,
+        p_outcome,
+        LEFT(NULLIF(current_setting('audit.actor', true), ''), 255),
+        p_target_user_id,
+        p_target_email,
+        LEFT(NULLIF(current_setting('audit.ip', true), ''), 64),
+        LEFT(NULLIF(current_setting('audit.user_agent', true), ''), 512),
+        p_details
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- SETTINGS AND PASSWORD HASHING HELPERS
+-- ============================================================================
+
+-- Helper reading an integer auth.* setting, falling back to a default when unset
+CREATE OR REPLACE FUNCTION auth_setting(p_name TEXT, p_default INTEGER)
+RETURNS INTEGER
+AS $$
+    SELECT COALESCE(NULLIF(current_setting('auth.' || p_name, true), '')::INTEGER, p_default);
+$$ LANGUAGE sql STABLE;
+
+-- Passwords are hashed with bcrypt (pgcrypto crypt()/gen_salt('bf')).
+-- hash_algorithm records how each row was hashed:
+--   'bcrypt' - hashpass is a bcrypt hash, salt is NULL (embedded in the hash)
+--   'sha256' - legacy rows: hashpass = sha256(salt || password), re-hashed on next login
+-- Note: bcrypt only uses the first 72 bytes of a password.
+
+-- Helper returning the configured bcrypt cost (auth.bcrypt_cost, default 12)
+CREATE OR REPLACE FUNCTION password_hash_cost()
+RETURNS INTEGER
+AS $$
+    SELECT LEAST(GREATEST(auth_setting('bcrypt_cost', 12), 4), 31);
+$$ LANGUAGE sql STABLE;
+
+-- Error codes
+-- Errors the API reports to clients are raised with dedicated SQLSTATEs (class AU),
+-- mapped to stable error codes by src/utils/errors.js:
+--   AU001 EMAIL_TAKEN        AU004 ROLE_EXISTS
+--   AU002 USER_NOT_FOUND     AU005 ROLE_NOT_FOUND
+--   AU003 WEAK_PASSWORD      AU006 ROLE_NOT_ASSIGNED
+--   AU007 PASSWORD_REUSED
+-- Functions re-raise unexpected errors with their original SQLSTATE.
+
+-- Helper rejecting passwords that do not meet the minimum requirements
+-- This is only a floor: the configurable password policy is enforced by the API
+-- (src/utils/passwordPolicy.js), which never allows less than 6 characters.
+CREATE OR REPLACE FUNCTION check_password(p_rawpass VARCHAR(255))
+RETURNS VOID
+AS $$
+BEGIN
+    IF p_rawpass IS NULL OR length(p_rawpass) < 6 THEN
+        RAISE EXCEPTION 'Password must be at least 6 characters long' USING ERRCODE = 'AU003';
+    END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Helper hashing a raw password with the current algorithm and cost
+CREATE OR REPLACE FUNCTION hash_password(p_rawpass VARCHAR(255))
+RETURNS VARCHAR(255)
+AS $$
+    SELECT crypt(p_rawpass, gen_salt('bf', password_hash_cost()))::VARCHAR(255);
+$$ LANGUAGE sql VOLATILE;
+
+-- Helper verifying a raw password against a stored hash of any supported algorithm
+CREATE OR REPLACE FUNCTION verify_password(
+    p_rawpass VARCHAR(255),
+    p_algorithm VARCHAR(20),
+    p_salt VARCHAR(255),
+    p_hashpass VARCHAR(255)
+)
+RETURNS BOOLEAN
+AS $$
+BEGIN
+    IF p_algorithm = 'bcrypt' THEN
+        RETURN crypt(p_rawpass, p_hashpass) = p_hashpass;
+    ELSIF p_algorithm = 'sha256' THEN
+        RETURN encode(sha256((p_salt || p_rawpass)::bytea), 'hex') = p_hashpass;
+    END IF;
+
+    RAISE EXCEPTION 'Unsupported hash algorithm %', p_algorithm;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Helper rejecting a new password that matches the current password of the account or
+-- one of its previous passwords kept in passwordHistory (auth.password_history_size
+-- passwords in total, default 5; 0 disables the check)
+CREATE OR REPLACE FUNCTION check_password_reuse(p_user_id INTEGER, p_rawpass VARCHAR(255))
+RETURNS VOID
+AS $$
+DECLARE
+    v_size INTEGER := auth_setting('password_history_size', 5);
+BEGIN
+    IF v_size <= 0 THEN
+        RETURN;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM userAuth ua
+        WHERE ua.userId = p_user_id
+        AND verify_password(p_rawpass, ua.hash_algorithm, ua.salt, ua.hashpass)
+    ) OR EXISTS (
+        SELECT 1 FROM (
+            SELECT ph.salt, ph.hashpass, ph.hash_algorithm
+            FROM passwordHistory ph
+            WHERE ph.userId = p_user_id
+            ORDER BY ph.historyId DESC
+            LIMIT v_size - 1
+        ) recent
+        WHERE verify_password(p_rawpass, recent.hash_algorithm, recent.salt, recent.hashpass)
+    ) THEN
+        RAISE EXCEPTION 'Password was used recently' USING ERRCODE = 'AU007';
+    END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Helper moving the current password hash of an account into passwordHistory before it
+-- is replaced, keeping only the entries check_password_reuse() still looks at
+CREATE OR REPLACE FUNCTION push_password_history(p_user_id INTEGER)
+RETURNS VOID
+AS $$
+BEGIN
+    INSERT INTO passwordHistory (userId, salt, hashpass, hash_algorithm)
+    SELECT userId, salt, hashpass, hash_algorithm
+    FROM userAuth
+    WHERE userId = p_user_id;
+
+    DELETE FROM passwordHistory
+    WHERE userId = p_user_id
+    AND historyId NOT IN (
+        SELECT historyId FROM passwordHistory
+        WHERE userId = p_user_id
+        ORDER BY historyId DESC
+        LIMIT GREATEST(auth_setting('password_history_size', 5) - 1, 0)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Helper returning when a password set at the given time expires (NULL when expiry is disabled)
+CREATE OR REPLACE FUNCTION password_expires_at(p_changed_at TIMESTAMP)
+RETURNS TIMESTAMP
+AS $$
+    SELECT CASE WHEN auth_setting('password_max_age_days', 0) > 0
+        THEN p_changed_at + make_interval(days => auth_setting('password_max_age_days', 0))
+    END;
+$$ LANGUAGE sql STABLE;
+
+-- Helper returning why the password of an account must be changed before the account can
+-- be used again: 'required' (flagged by an administrator), 'expired' or NULL
+CREATE OR REPLACE FUNCTION password_change_reason(p_user_id INTEGER)
+RETURNS VARCHAR(20)
+AS $$
+    SELECT (CASE
+        WHEN ua.password_change_required THEN 'required'
+        WHEN password_expires_at(ua.password_changed_at) <= CURRENT_TIMESTAMP THEN 'expired'
+    END)::VARCHAR(20)
+    FROM userAuth ua
+    WHERE ua.userId = p_user_id;
+$$ LANGUAGE sql STABLE;
+
+-- Helper telling whether a stored hash should be upgraded (legacy algorithm or outdated cost)
+CREATE OR REPLACE FUNCTION password_needs_rehash(
+    p_algorithm VARCHAR(20),
+    p_hashpass VARCHAR(255)
+)
+RETURNS BOOLEAN
+AS $$
+    -- bcrypt hashes look like $2a$<cost>$<salt+hash>
+    SELECT p_algorithm <> 'bcrypt'
+        OR split_part(p_hashpass, '$', 3)::INTEGER <> password_hash_cost();
+$$ LANGUAGE sql STABLE;
+
+-- Helper counting a wrong password given for an account (login, password or email change).
+-- Reaching auth.lockout_threshold failures in a row locks the account for
+-- auth.lockout_base_seconds, doubling with every further lockout (capped at
+-- auth.lockout_max_seconds) until the next successful login. Returns the lock duration in
+-- seconds, or NULL when the account was not locked.
+CREATE OR REPLACE FUNCTION record_failed_password(
+    p_user_id INTEGER,
+    p_mail VARCHAR(255)
+)
+RETURNS INTEGER
+AS $$
+DECLARE
+    v_user userAuth%ROWTYPE;
+    v_lock_seconds INTEGER;
+BEGIN
+    SELECT * INTO v_user FROM userAuth ua WHERE ua.userId = p_user_id FOR UPDATE;
+
+    IF v_user.failed_attempts + 1 < auth_setting('lockout_threshold', 5) THEN
+        UPDATE userAuth ua
+        SET failed_attempts = ua.failed_attempts + 1
+        WHERE ua.userId = p_user_id;
+        RETURN NULL;
+    END IF;
+
+    v_lock_seconds := LEAST(
+        auth_setting('lockout_base_seconds', 60) * POWER(2, LEAST(v_user.lockout_count, 20)),
+        auth_setting('lockout_max_seconds', 86400)
+    )::INTEGER;
+
+    UPDATE userAuth ua
+    SET failed_attempts = 0,
+        lockout_count = ua.lockout_count + 1,
+        locked_until = CURRENT_TIMESTAMP + make_interval(secs => v_lock_seconds)
+    WHERE ua.userId = p_user_id;
+
+    PERFORM record_audit_event('account_locked', 'success', p_user_id, p_mail,
+        jsonb_build_object('lock_seconds', v_lock_seconds));
+
+    RETURN v_lock_seconds;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Helper clearing the failed attempts and lockouts of an account once its password was verified
+CREATE OR REPLACE FUNCTION clear_failed_passwords(p_user_id INTEGER)
+RETURNS VOID
+AS $$
+    UPDATE userAuth ua
+    SET failed_attempts = 0, lockout_count = 0, locked_until = NULL
+    WHERE ua.userId = p_user_id
+    AND (ua.failed_attempts > 0 OR ua.lockout_count > 0 OR ua.locked_until IS NOT NULL);
+$$ LANGUAGE sql;
+
+-- Function to sign up a new user
+-- The user ID is allocated from the userAuth sequence; returns the new public_id.
+CREATE OR REPLACE FUNCTION signup(
+    p_mail VARCHAR(255),
+    p_rawpass VARCHAR(255)
+)
+RETURNS UUID
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+    v_public_id UUID;
+BEGIN
+    -- Check if user already exists (uses the mail key index)
+    IF EXISTS(SELECT 1 FROM userAuth WHERE email_key(mail) = email_key(p_mail)) THEN
+        RAISE EXCEPTION 'User with email % already exists', p_mail USING ERRCODE = 'AU001';
+    END IF;
+
+    PERFORM check_password(p_rawpass);
+
+    -- Insert the new user (password hashed with bcrypt, see hash_password())
+    INSERT INTO userAuth (mail, hashpass, hash_algorithm)
+    VALUES (normalize_email(p_mail), hash_password(p_rawpass), 'bcrypt')
+    RETURNING userId, public_id INTO v_user_id, v_public_id;
+
+    -- Every account starts with the default 'user' role
+    INSERT INTO userRoles (userId, roleId)
+    SELECT v_user_id, roleId FROM roles WHERE name = 'user';
+
+    PERFORM record_audit_event('signup', 'success', v_user_id, p_mail);
+
+    RETURN v_public_id;
+
+EXCEPTION
+    -- Concurrent signup with the same email
+    WHEN unique_violation THEN
+        RAISE EXCEPTION 'User with email % already exists', p_mail USING ERRCODE = 'AU001';
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during signup: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deprecated: sign up with a client-supplied user ID (compatibility mode, see
+-- SIGNUP_CLIENT_USER_ID). The sequence is moved past the supplied ID so that
+-- server-assigned IDs never collide with it.
+CREATE OR REPLACE FUNCTION signup(
+    p_userId INTEGER,
+    p_mail VARCHAR(255),
+    p_rawpass VARCHAR(255)
+)
+RETURNS BOOLEAN 
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_hashpass VARCHAR(255);
+    v_user_exists INTEGER;
+BEGIN
+    -- Check if user already exists (uses the mail key index)
+    SELECT COUNT(*) INTO v_user_exists 
+    FROM userAuth 
+    WHERE email_key(mail) = email_key(p_mail);
+    
+    IF v_user_exists > 0 THEN
+        RAISE EXCEPTION 'User with email % already exists', p_mail USING ERRCODE = 'AU001';
+        RETURN FALSE;
+    END IF;
+    
+    PERFORM check_password(p_rawpass);
+
+    -- Create hash using bcrypt (the salt is generated and embedded by gen_salt)
+    v_hashpass := hash_password(p_rawpass);
+    
+    -- Insert the new user
+    INSERT INTO userAuth (userId, mail, hashpass, hash_algorithm)
+    VALUES (p_userId, normalize_email(p_mail), v_hashpass, 'bcrypt');
+
+    PERFORM setval('userauth_userid_seq', GREATEST(p_userId, (SELECT last_value FROM userauth_userid_seq)));
+    
+    -- Every account starts with the default 'user' role
+    INSERT INTO userRoles (userId, roleId)
+    SELECT p_userId, roleId FROM roles WHERE name = 'user';
+    
+    PERFORM record_audit_event('signup', 'success', p_userId, p_mail);
+
+    RETURN TRUE;
+    
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during signup: %', SQLERRM USING ERRCODE = SQLSTATE;
+        RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to authenticate a user and report the outcome
+-- status is one of:
+--   'success' - password verified
+--   'invalid' - unknown user or wrong password
+--   'locked'  - too many failed attempts; retry_after_seconds tells when to try again
+-- email_verified and mfa_enabled are only reported on success; when mfa_enabled is TRUE
+-- the login must be completed with a TOTP code (see create_mfa_challenge()).
+-- Wrong passwords count towards a lockout (see record_failed_password()).
+CREATE OR REPLACE FUNCTION authenticate_user(
+    p_mail VARCHAR(255),
+    p_rawpass VARCHAR(255)
+)
+RETURNS TABLE(
+    status VARCHAR(20),
+    locked_until TIMESTAMP,
+    retry_after_seconds INTEGER,
+    email_verified BOOLEAN,
+    mfa_enabled BOOLEAN
+)
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user userAuth%ROWTYPE;
+    v_lock_seconds INTEGER;
+    v_mfa_enabled BOOLEAN;
+BEGIN
+    -- Get the stored credentials (uses the mail key index)
+    SELECT * INTO v_user
+    FROM userAuth ua
+    WHERE email_key(ua.mail) = email_key(p_mail)
+    FOR UPDATE;
+    
+    -- If no row found, user doesn't exist
+    IF NOT FOUND THEN
+        PERFORM record_audit_event('login', 'failure', NULL, p_mail, '{"reason": "unknown_user"}'::JSONB);
+        RETURN QUERY SELECT 'invalid'::VARCHAR(20), NULL::TIMESTAMP, NULL::INTEGER, NULL::BOOLEAN, NULL::BOOLEAN;
+        RETURN;
+    END IF;
+    
+    -- Locked accounts are rejected without checking the password
+    IF v_user.locked_until > CURRENT_TIMESTAMP THEN
+        PERFORM record_audit_event('login', 'failure', v_user.userId, p_mail, '{"reason": "locked"}'::JSONB);
+        RETURN QUERY SELECT 'locked'::VARCHAR(20), v_user.locked_until,
+            CEIL(EXTRACT(EPOCH FROM (v_user.locked_until - CURRENT_TIMESTAMP)))::INTEGER, NULL::BOOLEAN, NULL::BOOLEAN;
+        RETURN;
+    END IF;
+    
+    -- Compare the password with the stored hash
+    IF NOT verify_password(p_rawpass, v_user.hash_algorithm, v_user.salt, v_user.hashpass) THEN
+        PERFORM record_audit_event('login', 'failure', v_user.userId, p_mail, '{"reason": "invalid_password"}'::JSONB);
+        v_lock_seconds := record_failed_password(v_user.userId, p_mail);
+
+        IF v_lock_seconds IS NOT NULL THEN
+            RETURN QUERY SELECT 'locked'::VARCHAR(20),
+                (CURRENT_TIMESTAMP + make_interval(secs => v_lock_seconds))::TIMESTAMP, v_lock_seconds, NULL::BOOLEAN, NULL::BOOLEAN;
+            RETURN;
+        END IF;
+
+        RETURN QUERY SELECT 'invalid'::VARCHAR(20), NULL::TIMESTAMP, NULL::INTEGER, NULL::BOOLEAN, NULL::BOOLEAN;
+        RETURN;
+    END IF;
+    
+    -- Successful login clears the failure history
+    PERFORM clear_failed_passwords(v_user.userId);
+    
+    -- Transparently upgrade legacy or outdated hashes now that we know the password
+    IF password_needs_rehash(v_user.hash_algorithm, v_user.hashpass) THEN
+        UPDATE userAuth ua
+        SET salt = NULL, hashpass = hash_password(p_rawpass), hash_algorithm = 'bcrypt'
+        WHERE ua.userId = v_user.userId;
+    END IF;
+    
+    v_mfa_enabled := EXISTS(SELECT 1 FROM userTotp ut WHERE ut.userId = v_user.userId AND ut.confirmed_at IS NOT NULL);
+
+    -- With two-factor authentication the login is only complete after complete_mfa_challenge()
+    PERFORM record_audit_event('login', 'success', v_user.userId, p_mail,
+        CASE WHEN v_mfa_enabled THEN '{"mfa_pending": true}'::JSONB END);
+
+    RETURN QUERY SELECT 'success'::VARCHAR(20), NULL::TIMESTAMP, NULL::INTEGER, v_user.email_verified, v_mfa_enabled;
+    
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during authentication: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to authenticate a user (TRUE only when authenticate_user() reports success)
+CREATE OR REPLACE FUNCTION authenticate(
+    p_mail VARCHAR(255),
+    p_rawpass VARCHAR(255)
+)
+RETURNS BOOLEAN 
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN EXISTS(
+        SELECT 1 FROM authenticate_user(p_mail, p_rawpass) au
+        WHERE au.status = 'success'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get user details (for verification purposes)
+CREATE OR REPLACE FUNCTION get_user_details(p_mail VARCHAR(255))
+RETURNS TABLE(
+    id UUID,
+    email VARCHAR(255),
+    email_verified BOOLEAN,
+    mfa_enabled BOOLEAN,
+    roles VARCHAR(50)[],
+    created_at TIMESTAMP,
+    updated_at TIMESTAMP
+) 
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT ua.public_id, ua.mail, ua.email_verified, ut.confirmed_at IS NOT NULL,
+        get_role_names(ua.userId), ua.created_at, ua.updated_at
+    FROM userAuth ua
+    LEFT JOIN userTotp ut ON ut.userId = ua.userId
+    WHERE email_key(ua.mail) = email_key(p_mail);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to delete a user
+CREATE OR REPLACE FUNCTION delete_user(p_mail VARCHAR(255))
+RETURNS BOOLEAN 
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_exists INTEGER;
+    v_deleted_count INTEGER;
+    v_user_id INTEGER;
+BEGIN
+    -- Check if user exists (uses the mail key index)
+    SELECT COUNT(*) INTO v_user_exists 
+    FROM userAuth 
+    WHERE email_key(mail) = email_key(p_mail);
+    
+    IF v_user_exists = 0 THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_mail USING ERRCODE = 'AU002';
+        RETURN FALSE;
+    END IF;
+    
+    -- Delete the user
+    DELETE FROM userAuth WHERE email_key(mail) = email_key(p_mail)
+    RETURNING userId INTO v_user_id;
+    GET DIAGNOSTICS v_deleted_count = ROW_COUNT;
+    
+    IF v_deleted_count > 0 THEN
+        PERFORM record_audit_event('account_delete', 'success', v_user_id, p_mail);
+        RETURN TRUE;
+    ELSE
+        RETURN FALSE;
+    END IF;
+    
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during user deletion: %', SQLERRM USING ERRCODE = SQLSTATE;
+        RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to change user password
+-- Returns FALSE when the old password is wrong, which counts towards a lockout like a failed
+-- login (see record_failed_password()); raises AU008 while the account is locked.
+-- Raises AU007 when the new password was used recently (see check_password_reuse()).
+CREATE OR REPLACE FUNCTION change_password(
+    p_mail VARCHAR(255),
+    p_old_password VARCHAR(255),
+    p_new_password VARCHAR(255)
+)
+RETURNS BOOLEAN 
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+    v_salt VARCHAR(255);
+    v_stored_hash VARCHAR(255);
+    v_algorithm VARCHAR(20);
+    v_locked_until TIMESTAMP;
+    v_new_hash VARCHAR(255);
+    v_updated_count INTEGER;
+BEGIN
+    -- Check if user exists and get the stored salt and hash (uses the mail key index)
+    SELECT userId, salt, hashpass, hash_algorithm, locked_until
+    INTO v_user_id, v_salt, v_stored_hash, v_algorithm, v_locked_until
+    FROM userAuth 
+    WHERE email_key(mail) = email_key(p_mail)
+    FOR UPDATE;
+    
+    -- If no row found, user doesn't exist
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_mail USING ERRCODE = 'AU002';
+        RETURN FALSE;
+    END IF;
+    
+    -- Locked accounts are rejected without checking the password
+    IF v_locked_until > CURRENT_TIMESTAMP THEN
+        RAISE EXCEPTION 'Account % is locked', p_mail USING ERRCODE = 'AU008';
+    END IF;
+    
+    -- Verify old password
+    IF NOT verify_password(p_old_password, v_algorithm, v_salt, v_stored_hash) THEN
+        PERFORM record_audit_event('password_change', 'failure', v_user_id, p_mail, '{"reason": "invalid_password"}'::JSONB);
+        PERFORM record_failed_password(v_user_id, p_mail);
+        RETURN FALSE;
+    END IF;
+    
+    PERFORM clear_failed_passwords(v_user_id);
+    
+    PERFORM check_password(p_new_password);
+    PERFORM check_password_reuse(v_user_id, p_new_password);
+    PERFORM push_password_history(v_user_id);
+
+    -- Hash the new password with the current algorithm
+    v_new_hash := hash_password(p_new_password);
+    
+    -- Update the user's password (this also satisfies a pending password change)
+    UPDATE userAuth 
+    SET salt = NULL, hashpass = v_new_hash, hash_algorithm = 'bcrypt',
+        password_changed_at = CURRENT_TIMESTAMP, password_change_required = FALSE
+    WHERE email_key(mail) = email_key(p_mail);
+    
+    GET DIAGNOSTICS v_updated_count = ROW_COUNT;
+    
+    IF v_updated_count > 0 THEN
+        PERFORM record_audit_event('password_change', 'success', v_user_id, p_mail);
+        RETURN TRUE;
+    ELSE
+        RETURN FALSE;
+    END IF;
+    
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during password change: %', SQLERRM USING ERRCODE = SQLSTATE;
+        RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to change user email/username
+-- Returns FALSE when the password is wrong, which counts towards a lockout like a failed
+-- login (see record_failed_password()); raises AU008 while the account is locked.
+CREATE OR REPLACE FUNCTION change_email(
+    p_old_mail VARCHAR(255),
+    p_new_mail VARCHAR(255),
+    p_password VARCHAR(255)
+)
+RETURNS BOOLEAN 
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+    v_salt VARCHAR(255);
+    v_stored_hash VARCHAR(255);
+    v_algorithm VARCHAR(20);
+    v_locked_until TIMESTAMP;
+    v_new_email_exists INTEGER;
+    v_updated_count INTEGER;
+BEGIN
+    -- Check if old user exists and get the stored salt and hash (uses the mail key index)
+    SELECT userId, salt, hashpass, hash_algorithm, locked_until
+    INTO v_user_id, v_salt, v_stored_hash, v_algorithm, v_locked_until
+    FROM userAuth 
+    WHERE email_key(mail) = email_key(p_old_mail)
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_old_mail USING ERRCODE = 'AU002';
+        RETURN FALSE;
+    END IF;
+    
+    -- Locked accounts are rejected without checking the password
+    IF v_locked_until > CURRENT_TIMESTAMP THEN
+        RAISE EXCEPTION 'Account % is locked', p_old_mail USING ERRCODE = 'AU008';
+    END IF;
+    
+    -- Check if new email already belongs to another account (changing the case of
+    -- the own address is allowed)
+    SELECT COUNT(*) INTO v_new_email_exists 
+    FROM userAuth 
+    WHERE email_key(mail) = email_key(p_new_mail)
+    AND userId <> v_user_id;
+    
+    IF v_new_email_exists > 0 THEN
+        RAISE EXCEPTION 'Email % is already in use', p_new_mail USING ERRCODE = 'AU001';
+        RETURN FALSE;
+    END IF;
+    
+    -- Verify password
+    IF NOT verify_password(p_password, v_algorithm, v_salt, v_stored_hash) THEN
+        PERFORM record_audit_event('email_change', 'failure', v_user_id, p_old_mail, '{"reason": "invalid_password"}'::JSONB);
+        PERFORM record_failed_password(v_user_id, p_old_mail);
+        RETURN FALSE;
+    END IF;
+    
+    PERFORM clear_failed_passwords(v_user_id);
+    
+    -- Update the user's email (the new address has to be verified again)
+    UPDATE userAuth 
+    SET mail = normalize_email(p_new_mail), email_verified = FALSE, email_verified_at = NULL
+    WHERE userId = v_user_id;
+    
+    GET DIAGNOSTICS v_updated_count = ROW_COUNT;
+    
+    IF v_updated_count > 0 THEN
+        PERFORM record_audit_event('email_change', 'success', v_user_id, p_new_mail,
+            jsonb_build_object('old_email', p_old_mail));
+        RETURN TRUE;
+    ELSE
+        RETURN FALSE;
+    END IF;
+    
+EXCEPTION
+    -- Concurrent change to the same email
+    WHEN unique_violation THEN
+        RAISE EXCEPTION 'Email % is already in use', p_new_mail USING ERRCODE = 'AU001';
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during email change: %', SQLERRM USING ERRCODE = SQLSTATE;
+        RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get all users (for administrative purposes)
+CREATE OR REPLACE FUNCTION get_all_users()
+RETURNS TABLE(
+    id UUID,
+    email VARCHAR(255),
+    roles VARCHAR(50)[],
+    created_at TIMESTAMP,
+    updated_at TIMESTAMP
+) 
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT ua.public_id, ua.mail, get_role_names(ua.userId), ua.created_at, ua.updated_at
+    FROM userAuth ua
+    ORDER BY ua.userId;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to check if user exists
+CREATE OR REPLACE FUNCTION user_exists(p_mail VARCHAR(255))
+RETURNS BOOLEAN 
+SECURITY DEFINER
+AS $$
+BEGIN
+    -- Uses mail index for optimal performance
+    -- EXISTS is more efficient than COUNT(*) for boolean checks
+    RETURN EXISTS(SELECT 1 FROM userAuth WHERE email_key(mail) = email_key(p_mail));
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- REFRESH TOKEN FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+-- The application only ever passes SHA-256 hashes of refresh tokens.
+
+-- Function to store a new refresh token (starts a new token family)
+CREATE OR REPLACE FUNCTION create_refresh_token(
+    p_mail VARCHAR(255),
+    p_token_hash VARCHAR(64),
+    p_ttl_seconds INTEGER
+)
+RETURNS TABLE(
+    public_id UUID,
+    roles VARCHAR(50)[]
+)
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    -- Resolve the owner (uses the mail key index)
+    SELECT userId INTO v_user_id
+    FROM userAuth
+    WHERE email_key(mail) = email_key(p_mail);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_mail USING ERRCODE = 'AU002';
+    END IF;
+
+    INSERT INTO refreshTokens (userId, token_hash, family_id, expires_at)
+    VALUES (v_user_id, p_token_hash, gen_random_uuid(), CURRENT_TIMESTAMP + make_interval(secs => p_ttl_seconds));
+
+    RETURN QUERY
+    SELECT ua.public_id, get_role_names(ua.userId)
+    FROM userAuth ua
+    WHERE ua.userId = v_user_id;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during refresh token creation: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to exchange a refresh token for a new one (rotation)
+-- Presenting a token that was already rotated or revoked revokes its whole family.
+CREATE OR REPLACE FUNCTION rotate_refresh_token(
+    p_token_hash VARCHAR(64),
+    p_new_token_hash VARCHAR(64),
+    p_ttl_seconds INTEGER
+)
+RETURNS TABLE(
+    public_id UUID,
+    email VARCHAR(255),
+    roles VARCHAR(50)[]
+)
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_token refreshTokens%ROWTYPE;
+BEGIN
+    SELECT * INTO v_token
+    FROM refreshTokens
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+
+    -- Unknown token: return no rows
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    -- Reuse of a rotated/revoked token: assume theft and revoke the family
+    IF v_token.revoked_at IS NOT NULL THEN
+        UPDATE refreshTokens
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE family_id = v_token.family_id
+        AND revoked_at IS NULL;
+
+        PERFORM record_audit_event('refresh_token_reuse', 'failure', v_token.userId,
+            (SELECT ua.mail FROM userAuth ua WHERE ua.userId = v_token.userId));
+        RETURN;
+    END IF;
+
+    IF v_token.expires_at <= CURRENT_TIMESTAMP THEN
+        RETURN;
+    END IF;
+
+    -- Sessions cannot be extended while the password must be changed; the user has to log in again
+    IF password_change_reason(v_token.userId) IS NOT NULL THEN
+        RETURN;
+    END IF;
+
+    UPDATE refreshTokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE tokenId = v_token.tokenId;
+
+    INSERT INTO refreshTokens (userId, token_hash, family_id, expires_at)
+    VALUES (v_token.userId, p_new_token_hash, v_token.family_id, CURRENT_TIMESTAMP + make_interval(secs => p_ttl_seconds));
+
+    RETURN QUERY
+    SELECT ua.public_id, ua.mail, get_role_names(ua.userId)
+    FROM userAuth ua
+    WHERE ua.userId = v_token.userId;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to revoke a refresh token and every token rotated from the same login
+CREATE OR REPLACE FUNCTION revoke_refresh_token(p_token_hash VARCHAR(64))
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_family_id UUID;
+BEGIN
+    SELECT family_id INTO v_family_id
+    FROM refreshTokens
+    WHERE token_hash = p_token_hash;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE refreshTokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE family_id = v_family_id
+    AND revoked_at IS NULL;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- PASSWORD RESET FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+
+-- Function to store a password reset token
+-- Returns FALSE (without raising) for unknown emails so callers can answer
+-- identically whether or not the account exists. Issuing a token invalidates
+-- the user's previous unused tokens.
+CREATE OR REPLACE FUNCTION create_password_reset_token(
+    p_mail VARCHAR(255),
+    p_token_hash VARCHAR(64),
+    p_ttl_seconds INTEGER
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    SELECT userId INTO v_user_id
+    FROM userAuth
+    WHERE email_key(mail) = email_key(p_mail);
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE passwordResetTokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE userId = v_user_id
+    AND used_at IS NULL;
+
+    INSERT INTO passwordResetTokens (userId, token_hash, expires_at)
+    VALUES (v_user_id, p_token_hash, CURRENT_TIMESTAMP + make_interval(secs => p_ttl_seconds));
+
+    PERFORM record_audit_event('password_reset_request', 'success', v_user_id, p_mail);
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during password reset request: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to look up the account of a usable reset token
+-- Returns the account email, or NULL when the token is unknown, expired or used.
+-- Lets the API check the new password against the password policy (which needs
+-- the email) before the token is consumed.
+CREATE OR REPLACE FUNCTION get_password_reset_email(p_token_hash VARCHAR(64))
+RETURNS VARCHAR(255)
+SECURITY DEFINER
+AS $$
+    SELECT ua.mail
+    FROM passwordResetTokens prt
+    JOIN userAuth ua ON ua.userId = prt.userId
+    WHERE prt.token_hash = p_token_hash
+    AND prt.used_at IS NULL
+    AND prt.expires_at > CURRENT_TIMESTAMP;
+$$ LANGUAGE sql STABLE;
+
+-- Function to set a new password with a reset token
+-- Returns the account email, or NULL when the token is unknown, expired or used.
+-- A reset also clears any lockout and revokes all refresh tokens of the account.
+-- Raises AU007 when the new password was used recently; the token stays usable then.
+CREATE OR REPLACE FUNCTION reset_password(
+    p_token_hash VARCHAR(64),
+    p_new_password VARCHAR(255)
+)
+RETURNS VARCHAR(255)
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_token passwordResetTokens%ROWTYPE;
+    v_mail VARCHAR(255);
+BEGIN
+    SELECT * INTO v_token
+    FROM passwordResetTokens
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_token.used_at IS NOT NULL OR v_token.expires_at <= CURRENT_TIMESTAMP THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM check_password(p_new_password);
+    PERFORM check_password_reuse(v_token.userId, p_new_password);
+    PERFORM push_password_history(v_token.userId);
+
+    UPDATE passwordResetTokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE tokenId = v_token.tokenId;
+
+    UPDATE userAuth
+    SET salt = NULL,
+        hashpass = hash_password(p_new_password),
+        hash_algorithm = 'bcrypt',
+        password_changed_at = CURRENT_TIMESTAMP,
+        password_change_required = FALSE,
+        failed_attempts = 0,
+        lockout_count = 0,
+        locked_until = NULL
+    WHERE userId = v_token.userId
+    RETURNING mail INTO v_mail;
+
+    UPDATE refreshTokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE userId = v_token.userId
+    AND revoked_at IS NULL;
+
+    PERFORM record_audit_event('password_reset', 'success', v_token.userId, v_mail);
+
+    RETURN v_mail;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during password reset: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- EMAIL VERIFICATION FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+
+-- Function to store an email verification token
+-- Returns FALSE (without raising) for unknown or already verified emails.
+-- Issuing a token invalidates the user's previous unused tokens.
+CREATE OR REPLACE FUNCTION create_email_verification_token(
+    p_mail VARCHAR(255),
+    p_token_hash VARCHAR(64),
+    p_ttl_seconds INTEGER
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    SELECT userId INTO v_user_id
+    FROM userAuth
+    WHERE email_key(mail) = email_key(p_mail)
+    AND email_verified = FALSE;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE emailVerificationTokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE userId = v_user_id
+    AND used_at IS NULL;
+
+    INSERT INTO emailVerificationTokens (userId, token_hash, expires_at)
+    VALUES (v_user_id, p_token_hash, CURRENT_TIMESTAMP + make_interval(secs => p_ttl_seconds));
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during email verification request: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to mark an email address as verified with a verification token
+-- Returns the verified email, or NULL when the token is unknown, expired or used.
+CREATE OR REPLACE FUNCTION verify_email(p_token_hash VARCHAR(64))
+RETURNS VARCHAR(255)
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_token emailVerificationTokens%ROWTYPE;
+    v_mail VARCHAR(255);
+BEGIN
+    SELECT * INTO v_token
+    FROM emailVerificationTokens
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_token.used_at IS NOT NULL OR v_token.expires_at <= CURRENT_TIMESTAMP THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE emailVerificationTokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE tokenId = v_token.tokenId;
+
+    UPDATE userAuth
+    SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP
+    WHERE userId = v_token.userId
+    RETURNING mail INTO v_mail;
+
+    PERFORM record_audit_event('email_verify', 'success', v_token.userId, v_mail);
+
+    RETURN v_mail;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during email verification: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- TWO-FACTOR AUTHENTICATION FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+-- TOTP secrets are encrypted and decrypted by the application, which also verifies
+-- codes and passes the accepted time step so that a code cannot be used twice.
+
+-- Function to start (or restart) TOTP enrollment with a new encrypted secret
+-- Returns FALSE when the account already has a confirmed authenticator.
+CREATE OR REPLACE FUNCTION begin_totp_enrollment(
+    p_mail VARCHAR(255),
+    p_secret_encrypted TEXT
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    SELECT userId INTO v_user_id
+    FROM userAuth
+    WHERE email_key(mail) = email_key(p_mail);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_mail USING ERRCODE = 'AU002';
+    END IF;
+
+    -- A pending enrollment is replaced, a confirmed one is left untouched
+    INSERT INTO userTotp (userId, secret_encrypted)
+    VALUES (v_user_id, p_secret_encrypted)
+    ON CONFLICT (userId) DO UPDATE
+    SET secret_encrypted = EXCLUDED.secret_encrypted,
+        last_used_step = NULL,
+        created_at = CURRENT_TIMESTAMP
+    WHERE userTotp.confirmed_at IS NULL;
+
+    RETURN FOUND;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during TOTP enrollment: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get the encrypted TOTP secret of a user (no row when not enrolled)
+CREATE OR REPLACE FUNCTION get_totp_secret(p_mail VARCHAR(255))
+RETURNS TABLE(
+    secret_encrypted TEXT,
+    confirmed BOOLEAN
+)
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT ut.secret_encrypted, ut.confirmed_at IS NOT NULL
+    FROM userTotp ut
+    JOIN userAuth ua ON ua.userId = ut.userId
+    WHERE email_key(ua.mail) = email_key(p_mail);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to confirm a pending TOTP enrollment once the application verified a code
+-- Returns FALSE when there is no pending enrollment with that secret (e.g. it was
+-- replaced by a newer enrollment in the meantime).
+CREATE OR REPLACE FUNCTION confirm_totp_enrollment(
+    p_mail VARCHAR(255),
+    p_secret_encrypted TEXT,
+    p_step BIGINT
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    UPDATE userTotp ut
+    SET confirmed_at = CURRENT_TIMESTAMP, last_used_step = p_step
+    FROM userAuth ua
+    WHERE ua.userId = ut.userId
+    AND email_key(ua.mail) = email_key(p_mail)
+    AND ut.secret_encrypted = p_secret_encrypted
+    AND ut.confirmed_at IS NULL
+    RETURNING ut.userId INTO v_user_id;
+
+    IF v_user_id IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    PERFORM record_audit_event('mfa_enable', 'success', v_user_id, p_mail);
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during TOTP confirmation: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to remove the TOTP authenticator of a user and invalidate pending login challenges
+-- The API passes the time step of the code the user confirmed the request with; like
+-- complete_mfa_challenge() it must be later than the last used step (returns FALSE for a
+-- replayed code). Administrators remove a lost authenticator without a step.
+CREATE OR REPLACE FUNCTION disable_totp(p_mail VARCHAR(255), p_step BIGINT DEFAULT NULL)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    DELETE FROM userTotp ut
+    USING userAuth ua
+    WHERE ua.userId = ut.userId
+    AND email_key(ua.mail) = email_key(p_mail)
+    AND (p_step IS NULL OR (
+        ut.confirmed_at IS NOT NULL
+        AND (ut.last_used_step IS NULL OR ut.last_used_step < p_step)
+    ))
+    RETURNING ut.userId INTO v_user_id;
+
+    IF v_user_id IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE mfaChallenges
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE userId = v_user_id
+    AND used_at IS NULL;
+
+    PERFORM record_audit_event('mfa_disable', 'success', v_user_id, p_mail);
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error while disabling TOTP: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to store an MFA login challenge after a successful password check
+-- Returns FALSE when the account has no confirmed authenticator.
+-- Issuing a challenge invalidates the user's previous unused challenges.
+CREATE OR REPLACE FUNCTION create_mfa_challenge(
+    p_mail VARCHAR(255),
+    p_token_hash VARCHAR(64),
+    p_ttl_seconds INTEGER
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    SELECT ua.userId INTO v_user_id
+    FROM userAuth ua
+    JOIN userTotp ut ON ut.userId = ua.userId
+    WHERE email_key(ua.mail) = email_key(p_mail)
+    AND ut.confirmed_at IS NOT NULL;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE mfaChallenges
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE userId = v_user_id
+    AND used_at IS NULL;
+
+    INSERT INTO mfaChallenges (userId, token_hash, expires_at)
+    VALUES (v_user_id, p_token_hash, CURRENT_TIMESTAMP + make_interval(secs => p_ttl_seconds));
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during MFA challenge creation: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to look up a pending MFA login challenge
+-- Returns no row when the challenge is unknown, expired, used or out of attempts.
+CREATE OR REPLACE FUNCTION get_mfa_challenge(p_token_hash VARCHAR(64))
+RETURNS TABLE(
+    email VARCHAR(255),
+    secret_encrypted TEXT
+)
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT ua.mail, ut.secret_encrypted
+    FROM mfaChallenges mc
+    JOIN userAuth ua ON ua.userId = mc.userId
+    JOIN userTotp ut ON ut.userId = mc.userId
+    WHERE mc.token_hash = p_token_hash
+    AND mc.used_at IS NULL
+    AND mc.expires_at > CURRENT_TIMESTAMP
+    AND ut.confirmed_at IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to record a wrong code for an MFA login challenge
+-- Returns the number of attempts left; the challenge is invalidated once none are left
+-- (auth.mfa_max_attempts).
+CREATE OR REPLACE FUNCTION fail_mfa_challenge(p_token_hash VARCHAR(64))
+RETURNS INTEGER
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_max_attempts INTEGER := auth_setting('mfa_max_attempts', 5);
+    v_attempts INTEGER;
+    v_user_id INTEGER;
+BEGIN
+    UPDATE mfaChallenges mc
+    SET failed_attempts = mc.failed_attempts + 1,
+        used_at = CASE
+            WHEN mc.failed_attempts + 1 >= v_max_attempts THEN CURRENT_TIMESTAMP
+            ELSE mc.used_at
+        END
+    WHERE mc.token_hash = p_token_hash
+    AND mc.used_at IS NULL
+    RETURNING mc.failed_attempts, mc.userId INTO v_attempts, v_user_id;
+
+    IF v_attempts IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    PERFORM record_audit_event('mfa_login', 'failure', v_user_id,
+        (SELECT ua.mail FROM userAuth ua WHERE ua.userId = v_user_id),
+        jsonb_build_object('failed_attempts', v_attempts));
+
+    RETURN GREATEST(v_max_attempts - v_attempts, 0);
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during MFA challenge update: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to complete an MFA login challenge once the application verified a code
+-- Returns the account email, or NULL when the challenge is no longer valid or the
+-- code's time step was already used (replayed code).
+CREATE OR REPLACE FUNCTION complete_mfa_challenge(
+    p_token_hash VARCHAR(64),
+    p_step BIGINT
+)
+RETURNS VARCHAR(255)
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_challenge mfaChallenges%ROWTYPE;
+    v_mail VARCHAR(255);
+BEGIN
+    SELECT * INTO v_challenge
+    FROM mfaChallenges
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_challenge.used_at IS NOT NULL OR v_challenge.expires_at <= CURRENT_TIMESTAMP THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE userTotp ut
+    SET last_used_step = p_step
+    WHERE ut.userId = v_challenge.userId
+    AND ut.confirmed_at IS NOT NULL
+    AND (ut.last_used_step IS NULL OR ut.last_used_step < p_step);
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE mfaChallenges
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE challengeId = v_challenge.challengeId;
+
+    SELECT mail INTO v_mail
+    FROM userAuth
+    WHERE userId = v_challenge.userId;
+
+    PERFORM record_audit_event('mfa_login', 'success', v_challenge.userId, v_mail);
+
+    RETURN v_mail;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during MFA challenge completion: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- ROLE MANAGEMENT FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+
+-- Function to create a custom role
+CREATE OR REPLACE FUNCTION create_role(
+    p_name VARCHAR(50),
+    p_description VARCHAR(255)
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF EXISTS(SELECT 1 FROM roles WHERE name = p_name) THEN
+        RAISE EXCEPTION 'Role % already exists', p_name USING ERRCODE = 'AU004';
+    END IF;
+
+    INSERT INTO roles (name, description)
+    VALUES (p_name, p_description);
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during role creation: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to list all roles
+CREATE OR REPLACE FUNCTION get_roles()
+RETURNS TABLE(
+    name VARCHAR(50),
+    description VARCHAR(255),
+    user_count BIGINT
+)
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT r.name, r.description, COUNT(ur.userId)
+    FROM roles r
+    LEFT JOIN userRoles ur ON ur.roleId = r.roleId
+    GROUP BY r.roleId, r.name, r.description
+    ORDER BY r.name;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to grant a role to a user
+CREATE OR REPLACE FUNCTION grant_role(
+    p_mail VARCHAR(255),
+    p_role VARCHAR(50)
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+    v_role_id INTEGER;
+BEGIN
+    SELECT userId INTO v_user_id FROM userAuth WHERE email_key(mail) = email_key(p_mail);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_mail USING ERRCODE = 'AU002';
+    END IF;
+
+    SELECT roleId INTO v_role_id FROM roles WHERE name = p_role;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Role % does not exist', p_role USING ERRCODE = 'AU005';
+    END IF;
+
+    INSERT INTO userRoles (userId, roleId)
+    VALUES (v_user_id, v_role_id)
+    ON CONFLICT DO NOTHING;
+
+    PERFORM record_audit_event('role_grant', 'success', v_user_id, p_mail, jsonb_build_object('role', p_role));
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during role grant: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to revoke a role from a user
+CREATE OR REPLACE FUNCTION revoke_role(
+    p_mail VARCHAR(255),
+    p_role VARCHAR(50)
+)
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    DELETE FROM userRoles ur
+    USING userAuth ua, roles r
+    WHERE ur.userId = ua.userId
+    AND ur.roleId = r.roleId
+    AND email_key(ua.mail) = email_key(p_mail)
+    AND r.name = p_role
+    RETURNING ur.userId INTO v_user_id;
+
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'User % does not have role %', p_mail, p_role USING ERRCODE = 'AU006';
+    END IF;
+
+    PERFORM record_audit_event('role_revoke', 'success', v_user_id, p_mail, jsonb_build_object('role', p_role));
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during role revocation: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to unlock an account locked by failed logins (admin only)
+CREATE OR REPLACE FUNCTION unlock_account(p_mail VARCHAR(255))
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    UPDATE userAuth
+    SET failed_attempts = 0, lockout_count = 0, locked_until = NULL
+    WHERE email_key(mail) = email_key(p_mail)
+    RETURNING userId INTO v_user_id;
+
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_mail USING ERRCODE = 'AU002';
+    END IF;
+
+    PERFORM record_audit_event('account_unlock', 'success', v_user_id, p_mail);
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error during account unlock: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get the password status of an account
+-- change_reason is 'required', 'expired' or NULL (see password_change_reason()).
+-- Returns no row when the account does not exist.
+CREATE OR REPLACE FUNCTION get_password_status(p_mail VARCHAR(255))
+RETURNS TABLE(
+    id UUID,
+    password_changed_at TIMESTAMP,
+    password_expires_at TIMESTAMP,
+    change_reason VARCHAR(20)
+)
+SECURITY DEFINER
+AS $$
+    SELECT ua.public_id, ua.password_changed_at, password_expires_at(ua.password_changed_at),
+        password_change_reason(ua.userId)
+    FROM userAuth ua
+    WHERE email_key(ua.mail) = email_key(p_mail);
+$$ LANGUAGE sql STABLE;
+
+-- Function to force a password change at the next login (admin only)
+-- Also revokes all refresh tokens of the account, so existing sessions end.
+CREATE OR REPLACE FUNCTION require_password_change(p_mail VARCHAR(255))
+RETURNS BOOLEAN
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_user_id INTEGER;
+BEGIN
+    UPDATE userAuth
+    SET password_change_required = TRUE
+    WHERE email_key(mail) = email_key(p_mail)
+    RETURNING userId INTO v_user_id;
+
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'User with email % does not exist', p_mail USING ERRCODE = 'AU002';
+    END IF;
+
+    UPDATE refreshTokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE userId = v_user_id
+    AND revoked_at IS NULL;
+
+    PERFORM record_audit_event('password_change_required', 'success', v_user_id, p_mail);
+
+    RETURN TRUE;
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Error while requiring a password change: %', SQLERRM USING ERRCODE = SQLSTATE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- AUDIT LOG FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+
+-- Function to query the audit log (admin only), newest events first
+-- Every filter is optional (NULL); p_user matches the target account or the actor.
+CREATE OR REPLACE FUNCTION get_audit_log(
+    p_user VARCHAR(255),
+    p_event_type VARCHAR(50),
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_limit INTEGER,
+    p_offset INTEGER
+)
+RETURNS TABLE(
+    event_id BIGINT,
+    event_type VARCHAR(50),
+    outcome VARCHAR(20),
+    actor VARCHAR(255),
+    target_user_id INTEGER,
+    target_email VARCHAR(255),
+    ip VARCHAR(64),
+    user_agent VARCHAR(512),
+    details JSONB,
+    created_at TIMESTAMP
+)
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT al.eventId, al.event_type, al.outcome, al.actor, al.target_user_id, al.target_email,
+        al.ip, al.user_agent, al.details, al.created_at
+    FROM auditLog al
+    WHERE (p_user IS NULL OR al.target_email = p_user OR al.actor = p_user)
+    AND (p_event_type IS NULL OR al.event_type = p_event_type)
+    AND (p_from IS NULL OR al.created_at >= p_from::TIMESTAMP)
+    AND (p_to IS NULL OR al.created_at < p_to::TIMESTAMP)
+    ORDER BY al.created_at DESC, al.eventId DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- RATE LIMITING FUNCTIONS (SECURITY DEFINER)
+-- ============================================================================
+
+-- Function to record a hit for a rate limit key and return the counts of the
+-- current and previous fixed windows (the application computes a sliding window)
+CREATE OR REPLACE FUNCTION rate_limit_hit(
+    p_key VARCHAR(512),
+    p_window_seconds INTEGER
+)
+RETURNS TABLE(
+    current_hits INTEGER,
+    previous_hits INTEGER,
+    elapsed_ms INTEGER
+)
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_now DOUBLE PRECISION := EXTRACT(EPOCH FROM clock_timestamp());
+    v_window_start BIGINT := FLOOR(v_now / p_window_seconds)::BIGINT * p_window_seconds;
+BEGIN
+    INSERT INTO rateLimitHits AS rl (bucket_key, window_start, hits, expires_at)
+    VALUES (p_key, v_window_start, 1, v_window_start + 2 * p_window_seconds)
+    ON CONFLICT (bucket_key, window_start) DO UPDATE SET hits = rl.hits + 1
+    RETURNING rl.hits INTO current_hits;
+
+    SELECT COALESCE(MAX(rl.hits), 0) INTO previous_hits
+    FROM rateLimitHits rl
+    WHERE rl.bucket_key = p_key
+    AND rl.window_start = v_window_start - p_window_seconds;
+
+    elapsed_ms := ((v_now - v_window_start) * 1000)::INTEGER;
+
+    -- Occasionally purge windows that can no longer affect any limit
+    IF random() < 0.01 THEN
+        DELETE FROM rateLimitHits rl WHERE rl.expires_at < v_now;
+    END IF;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- INDEX MAINTENANCE FUNCTIONS (ADMIN ONLY)
+-- ============================================================================
+
+-- Function to check and recreate indexes if needed
+CREATE OR REPLACE FUNCTION ensure_indexes()
+RETURNS VOID 
+SECURITY DEFINER
+AS $$
+BEGIN
+    -- Check if the case-insensitive mail key index exists and recreate if needed
+    -- (fails while addresses differing only in case exist, see scripts/check-email-duplicates.js)
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_indexes 
+        WHERE tablename = 'userauth' 
+        AND indexname = 'idx_userauth_mail_key'
+    ) THEN
+        CREATE UNIQUE INDEX idx_userauth_mail_key ON userAuth(email_key(mail));
+        RAISE NOTICE 'Recreated mail key index';
+    END IF;
+    
+    -- Check if mail index exists and recreate if needed
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_indexes 
+        WHERE tablename = 'userauth' 
+        AND indexname = 'idx_userauth_mail'
+    ) THEN
+        CREATE INDEX idx_userauth_mail ON userAuth(mail);
+        RAISE NOTICE 'Recreated mail index';
+    END IF;
+    
+    -- Check if created_at index exists and recreate if needed
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_indexes 
+        WHERE tablename = 'userauth' 
+        AND indexname = 'idx_userauth_created_at'
+    ) THEN
+        CREATE INDEX idx_userauth_created_at ON userAuth(created_at);
+        RAISE NOTICE 'Recreated created_at index';
+    END IF;
+    
+    -- Check if updated_at index exists and recreate if needed
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_indexes 
+        WHERE tablename = 'userauth' 
+        AND indexname = 'idx_userauth_updated_at'
+    ) THEN
+        CREATE INDEX idx_userauth_updated_at ON userAuth(updated_at);
+        RAISE NOTICE 'Recreated updated_at index';
+    END IF;
+    
+    RAISE NOTICE 'All indexes verified and created if needed';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get index information (admin only)
+CREATE OR REPLACE FUNCTION get_index_info()
+RETURNS TABLE(
+    index_name TEXT,
+    index_definition TEXT,
+    is_unique BOOLEAN,
+    is_primary BOOLEAN
+) 
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        i.indexname::TEXT,
+        i.indexdef::TEXT,
+        i.indisunique,
+        i.indisprimary
+    FROM pg_indexes i
+    JOIN pg_class c ON i.indexname = c.relname
+    JOIN pg_index idx ON c.oid = idx.indexrelid
+    WHERE i.tablename = 'userauth'
+    ORDER BY i.indexname;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to test index performance (admin only)
+CREATE OR REPLACE FUNCTION test_index_performance(p_test_email VARCHAR(255))
+RETURNS TABLE(
+    operation TEXT,
+    execution_time_ms NUMERIC,
+    rows_returned INTEGER
+) 
+SECURITY DEFINER
+AS $$
+DECLARE
+    start_time TIMESTAMP;
+    end_time TIMESTAMP;
+    row_count INTEGER;
+BEGIN
+    -- Test COUNT with index (most common operation)
+    start_time := clock_timestamp();
+    SELECT COUNT(*) INTO row_count FROM userAuth WHERE mail = p_test_email;
+    end_time := clock_timestamp();
+    
+    RETURN QUERY SELECT 
+        'COUNT by mail'::TEXT,
+        EXTRACT(EPOCH FROM (end_time - start_time)) * 1000,
+        row_count;
+    
+    -- Test EXISTS with index (most efficient for boolean checks)
+    start_time := clock_timestamp();
+    SELECT EXISTS(SELECT 1 FROM userAuth WHERE mail = p_test_email) INTO row_count;
+    end_time := clock_timestamp();
+    
+    RETURN QUERY SELECT 
+        'EXISTS by mail'::TEXT,
+        EXTRACT(EPOCH FROM (end_time - start_time)) * 1000,
+        CASE WHEN row_count THEN 1 ELSE 0 END;
+    
+    -- Test SELECT with index (for data retrieval)
+    start_time := clock_timestamp();
+    SELECT COUNT(*) INTO row_count FROM userAuth WHERE mail = p_test_email;
+    end_time := clock_timestamp();
+    
+    RETURN QUERY SELECT 
+        'SELECT by mail'::TEXT,
+        EXTRACT(EPOCH FROM (end_time - start_time)) * 1000,
+        row_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- PERMISSION GRANTS (SECURITY MODEL IMPLEMENTATION)
+-- ============================================================================
+
+-- Grant execute permissions on AUTHENTICATION functions to authuser
+-- These are the only functions authuser needs to execute
+GRANT EXECUTE ON FUNCTION signup(VARCHAR(255), VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION signup(INTEGER, VARCHAR(255), VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION authenticate(VARCHAR(255), VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION authenticate_user(VARCHAR(255), VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION get_user_details(VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION delete_user(VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION change_password(VARCHAR(255), VARCHAR(255), VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION change_email(VARCHAR(255), VARCHAR(255), VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION get_all_users() TO authuser;
+GRANT EXECUTE ON FUNCTION user_exists(VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION get_password_status(VARCHAR(255)) TO authuser;
+
+-- Grant execute permissions on REFRESH TOKEN functions to authuser
+GRANT EXECUTE ON FUNCTION create_refresh_token(VARCHAR(255), VARCHAR(64), INTEGER) TO authuser;
+GRANT EXECUTE ON FUNCTION rotate_refresh_token(VARCHAR(64), VARCHAR(64), INTEGER) TO authuser;
+GRANT EXECUTE ON FUNCTION revoke_refresh_token(VARCHAR(64)) TO authuser;
+
+-- Grant execute permissions on PASSWORD RESET functions to authuser
+GRANT EXECUTE ON FUNCTION create_password_reset_token(VARCHAR(255), VARCHAR(64), INTEGER) TO authuser;
+GRANT EXECUTE ON FUNCTION get_password_reset_email(VARCHAR(64)) TO authuser;
+GRANT EXECUTE ON FUNCTION reset_password(VARCHAR(64), VARCHAR(255)) TO authuser;
+
+-- Grant execute permissions on EMAIL VERIFICATION functions to authuser
+GRANT EXECUTE ON FUNCTION create_email_verification_token(VARCHAR(255), VARCHAR(64), INTEGER) TO authuser;
+GRANT EXECUTE ON FUNCTION verify_email(VARCHAR(64)) TO authuser;
+
+-- Grant execute permissions on TWO-FACTOR AUTHENTICATION functions to authuser
+GRANT EXECUTE ON FUNCTION begin_totp_enrollment(VARCHAR(255), TEXT) TO authuser;
+GRANT EXECUTE ON FUNCTION get_totp_secret(VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION confirm_totp_enrollment(VARCHAR(255), TEXT, BIGINT) TO authuser;
+GRANT EXECUTE ON FUNCTION disable_totp(VARCHAR(255), BIGINT) TO authuser;
+GRANT EXECUTE ON FUNCTION create_mfa_challenge(VARCHAR(255), VARCHAR(64), INTEGER) TO authuser;
+GRANT EXECUTE ON FUNCTION get_mfa_challenge(VARCHAR(64)) TO authuser;
+GRANT EXECUTE ON FUNCTION fail_mfa_challenge(VARCHAR(64)) TO authuser;
+GRANT EXECUTE ON FUNCTION complete_mfa_challenge(VARCHAR(64), BIGINT) TO authuser;
+
+-- Grant execute permissions on ROLE MANAGEMENT functions to authuser
+-- The API only exposes these to callers holding the 'admin' role
+GRANT EXECUTE ON FUNCTION create_role(VARCHAR(50), VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION get_roles() TO authuser;
+GRANT EXECUTE ON FUNCTION grant_role(VARCHAR(255), VARCHAR(50)) TO authuser;
+GRANT EXECUTE ON FUNCTION revoke_role(VARCHAR(255), VARCHAR(50)) TO authuser;
+GRANT EXECUTE ON FUNCTION unlock_account(VARCHAR(255)) TO authuser;
+GRANT EXECUTE ON FUNCTION require_password_change(VARCHAR(255)) TO authuser;
+
+-- Grant execute permissions on AUDIT LOG functions to authuser
+-- The API only exposes get_audit_log() to callers holding the 'admin' role
+GRANT EXECUTE ON FUNCTION get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) TO authuser;
+
+-- Grant execute permissions on RATE LIMITING functions to authuser
+GRANT EXECUTE ON FUNCTION rate_limit_hit(VARCHAR(512), INTEGER) TO authuser;
+
+-- Grant execute permissions on INDEX MAINTENANCE functions to authuser
+-- These allow authuser to check index status and performance
+GRANT EXECUTE ON FUNCTION ensure_indexes() TO authuser;
+GRANT EXECUTE ON FUNCTION get_index_info() TO authuser;
+GRANT EXECUTE ON FUNCTION test_index_performance(VARCHAR(255)) TO authuser;
+
+-- Grant execute permissions on TRIGGER function to authuser
+GRANT EXECUTE ON FUNCTION update_updated_at_column() TO authuser;
+
+-- ============================================================================
+-- SECURITY ENFORCEMENT
+-- ============================================================================
+
+-- Ensure postgres user has full access to all functions
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO postgres;
+
+-- Revoke execute permissions from postgres user on specific functions
+-- This ensures only authuser can execute authentication functions
+-- (postgres can still access them through direct database access)
+REVOKE EXECUTE ON FUNCTION signup(VARCHAR(255), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION signup(INTEGER, VARCHAR(255), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION authenticate(VARCHAR(255), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION authenticate_user(VARCHAR(255), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_user_details(VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION delete_user(VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION change_password(VARCHAR(255), VARCHAR(255), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION change_email(VARCHAR(255), VARCHAR(255), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_all_users() FROM postgres;
+REVOKE EXECUTE ON FUNCTION user_exists(VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_password_status(VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION create_refresh_token(VARCHAR(255), VARCHAR(64), INTEGER) FROM postgres;
+REVOKE EXECUTE ON FUNCTION rotate_refresh_token(VARCHAR(64), VARCHAR(64), INTEGER) FROM postgres;
+REVOKE EXECUTE ON FUNCTION revoke_refresh_token(VARCHAR(64)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION create_password_reset_token(VARCHAR(255), VARCHAR(64), INTEGER) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_password_reset_email(VARCHAR(64)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION reset_password(VARCHAR(64), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION create_email_verification_token(VARCHAR(255), VARCHAR(64), INTEGER) FROM postgres;
+REVOKE EXECUTE ON FUNCTION verify_email(VARCHAR(64)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION begin_totp_enrollment(VARCHAR(255), TEXT) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_totp_secret(VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION confirm_totp_enrollment(VARCHAR(255), TEXT, BIGINT) FROM postgres;
+REVOKE EXECUTE ON FUNCTION disable_totp(VARCHAR(255), BIGINT) FROM postgres;
+REVOKE EXECUTE ON FUNCTION create_mfa_challenge(VARCHAR(255), VARCHAR(64), INTEGER) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_mfa_challenge(VARCHAR(64)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION fail_mfa_challenge(VARCHAR(64)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION complete_mfa_challenge(VARCHAR(64), BIGINT) FROM postgres;
+REVOKE EXECUTE ON FUNCTION create_role(VARCHAR(50), VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_roles() FROM postgres;
+REVOKE EXECUTE ON FUNCTION grant_role(VARCHAR(255), VARCHAR(50)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION revoke_role(VARCHAR(255), VARCHAR(50)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION unlock_account(VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION require_password_change(VARCHAR(255)) FROM postgres;
+REVOKE EXECUTE ON FUNCTION get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) FROM postgres;
+REVOKE EXECUTE ON FUNCTION rate_limit_hit(VARCHAR(512), INTEGER) FROM postgres;
+
+-- ============================================================================
+-- FINAL SETUP
+-- ============================================================================
+
+-- Normalize the existing addresses, which idx_userauth_mail_key then compares
+-- case-insensitively. Accounts whose addresses only differ in case have to be merged or
+-- deleted first (report them with scripts/check-email-duplicates.js).
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM userAuth GROUP BY email_key(mail) HAVING COUNT(*) > 1) THEN
+        RAISE EXCEPTION 'Accounts with email addresses differing only in case exist; resolve them first (node scripts/check-email-duplicates.js)';
+    END IF;
+END;
+$$;
+
+UPDATE userAuth SET mail = normalize_email(mail) WHERE mail <> normalize_email(mail);
+
+-- Ensure all indexes are created (including idx_userauth_mail_key, the most critical one:
+-- the functions look accounts up by email_key(mail))
+SELECT ensure_indexes();
+
+-- Display security model summary
+DO $$
+BEGIN
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'SECURITY MODEL IMPLEMENTED:';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '✅ postgres user: Full admin access to everything';
+    RAISE NOTICE '✅ authuser: ONLY function execution, NO direct table access';
+    RAISE NOTICE '✅ All functions: SECURITY DEFINER (run with postgres privileges)';
+    RAISE NOTICE '✅ Mail column: Indexed for optimal query performance';
+    RAISE NOTICE '✅ Table access: Restricted to functions only';
+    RAISE NOTICE '========================================';
+END;
+$$;
@@ -0,0 +1,3 @@
+-- Migration 0003: applied migrations function (down)
+
+DROP FUNCTION IF EXISTS get_applied_migrations();
@@ -0,0 +1,24 @@
+-- Migration 0003: applied migrations function
+-- Lets the API (authuser, no table access) compare the applied migrations with
+-- the migration files for its readiness check (GET /health/ready).
+
+-- Function returning the applied migrations (schema_migrations is created by the
+-- migration runner before any migration runs)
+CREATE OR REPLACE FUNCTION get_applied_migrations()
+RETURNS TABLE(
+    version VARCHAR(32),
+    checksum CHAR(64),
+    applied_at TIMESTAMP
+)
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT m.version, m.checksum, m.applied_at
+    FROM schema_migrations m
+    ORDER BY m.version;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_applied_migrations() TO authuser;
+REVOKE EXECUTE ON FUNCTION get_applied_migrations() FROM postgres;
@@ -0,0 +1,70 @@
+-- Migration 0004: request identity in the audit log (down)
+
+DROP FUNCTION IF EXISTS get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_audit_log(
+    p_user VARCHAR(255),
+    p_event_type VARCHAR(50),
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_limit INTEGER,
+    p_offset INTEGER
+)
+RETURNS TABLE(
+    event_id BIGINT,
+    event_type VARCHAR(50),
+    outcome VARCHAR(20),
+    actor VARCHAR(255),
+    target_user_id INTEGER,
+    target_email VARCHAR(255),
+    ip VARCHAR(64),
+    user_agent VARCHAR(512),
+    details JSONB,
+    created_at TIMESTAMP
+)
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT al.eventId, al.event_type, al.outcome, al.actor, al.target_user_id, al.target_email,
+        al.ip, al.user_agent, al.details, al.created_at
+    FROM auditLog al
+    WHERE (p_user IS NULL OR al.target_email = p_user OR al.actor = p_user)
+    AND (p_event_type IS NULL OR al.event_type = p_event_type)
+    AND (p_from IS NULL OR al.created_at >= p_from::TIMESTAMP)
+    AND (p_to IS NULL OR al.created_at < p_to::TIMESTAMP)
+    ORDER BY al.created_at DESC, al.eventId DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) TO authuser;
+REVOKE EXECUTE ON FUNCTION get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) FROM postgres;
+
+CREATE OR REPLACE FUNCTION record_audit_event(
+    p_event_type VARCHAR(50),
+    p_outcome VARCHAR(20),
+    p_target_user_id INTEGER,
+    p_target_email VARCHAR(255),
+    p_details JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO auditLog (event_type, outcome, actor, target_user_id, target_email, ip, user_agent, details)
+    VALUES (
+        p_event_type,
+        p_outcome,
+        LEFT(NULLIF(current_setting('audit.actor', true), ''), 255),
+        p_target_user_id,
+        p_target_email,
+        LEFT(NULLIF(current_setting('audit.ip', true), ''), 64),
+        LEFT(NULLIF(current_setting('audit.user_agent', true), ''), 512),
+        p_details
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_auditlog_request_id;
+ALTER TABLE auditLog DROP COLUMN IF EXISTS route;
+ALTER TABLE auditLog DROP COLUMN IF EXISTS request_id;
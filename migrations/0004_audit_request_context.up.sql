@@ -0,0 +1,86 @@
+-- Migration 0004: request identity in the audit log
+-- The API sets audit.request_id (the X-Request-Id of the HTTP request) and
+-- audit.route (e.g. 'POST /api/auth/login') on the session before each call, next
+-- to audit.actor, audit.ip and audit.user_agent, and tags the session with
+-- application_name '<DB_APPLICATION_NAME> <request id>'. Audit events record both
+-- settings so they can be matched with the application logs.
+
+ALTER TABLE auditLog ADD COLUMN IF NOT EXISTS request_id VARCHAR(128);
+ALTER TABLE auditLog ADD COLUMN IF NOT EXISTS route VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_auditlog_request_id ON auditLog(request_id);
+
+-- Helper appending an audit event with the request context set by the application
+-- (no SECURITY DEFINER: it is only usable from inside the SECURITY DEFINER functions)
+CREATE OR REPLACE FUNCTION record_audit_event(
+    p_event_type VARCHAR(50),
+    p_outcome VARCHAR(20),
+    p_target_user_id INTEGER,
+    p_target_email VARCHAR(255),
+    p_details JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO auditLog (event_type, outcome, actor, target_user_id, target_email, ip, user_agent, details, request_id, route)
+    VALUES (
+        p_event_type,
+        p_outcome,
+        LEFT(NULLIF(current_setting('audit.actor', true), ''), 255),
+        p_target_user_id,
+        p_target_email,
+        LEFT(NULLIF(current_setting('audit.ip', true), ''), 64),
+        LEFT(NULLIF(current_setting('audit.user_agent', true), ''), 512),
+        p_details,
+        LEFT(NULLIF(current_setting('audit.request_id', true), ''), 128),
+        LEFT(NULLIF(current_setting('audit.route', true), ''), 255)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- The result gains request_id and route; a changed result type needs DROP and CREATE
+DROP FUNCTION IF EXISTS get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER);
+
+-- Function to query the audit log (admin only), newest events first
+-- Every filter is optional (NULL); p_user matches the target account or the actor.
+CREATE OR REPLACE FUNCTION get_audit_log(
+    p_user VARCHAR(255),
+    p_event_type VARCHAR(50),
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_limit INTEGER,
+    p_offset INTEGER
+)
+RETURNS TABLE(
+    event_id BIGINT,
+    event_type VARCHAR(50),
+    outcome VARCHAR(20),
+    actor VARCHAR(255),
+    target_user_id INTEGER,
+    target_email VARCHAR(255),
+    ip VARCHAR(64),
+    user_agent VARCHAR(512),
+    request_id VARCHAR(128),
+    route VARCHAR(255),
+    details JSONB,
+    created_at TIMESTAMP
+)
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT al.eventId, al.event_type, al.outcome, al.actor, al.target_user_id, al.target_email,
+        al.ip, al.user_agent, al.request_id, al.route, al.details, al.created_at
+    FROM auditLog al
+    WHERE (p_user IS NULL OR al.target_email = p_user OR al.actor = p_user)
+    AND (p_event_type IS NULL OR al.event_type = p_event_type)
+    AND (p_from IS NULL OR al.created_at >= p_from::TIMESTAMP)
+    AND (p_to IS NULL OR al.created_at < p_to::TIMESTAMP)
+    ORDER BY al.created_at DESC, al.eventId DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The API only exposes get_audit_log() to callers holding the 'admin' role
+GRANT EXECUTE ON FUNCTION get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) TO authuser;
+REVOKE EXECUTE ON FUNCTION get_audit_log(VARCHAR(255), VARCHAR(50), TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) FROM postgres;
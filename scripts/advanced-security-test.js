@@ -1,10 +1,7 @@
 #!/usr/bin/env node
 
 import pg from 'pg';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import config from '../src/config/index.js';
 
 const { Pool } = pg;
 
@@ -12,13 +9,7 @@ async function advancedSecurityTest() {
     console.log('🔐 Advanced Security Testing for PostgreSQL Authentication\n');
     console.log('==========================================================\n');
 
-    const pool = new Pool({
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 5432,
-        database: process.env.DB_NAME || 'authdb',
-        user: process.env.DB_USER || 'authuser',
-        password: process.env.DB_PASSWORD || 'authuser123',
-    });
+    const pool = new Pool(config.database);
 
     try {
         // Test 1: Verify schema modification restrictions
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+import pg from 'pg';
+import config from '../src/config/index.js';
+import { emailKey, normalizeEmail } from '../src/utils/email.js';
+
+const { Pool } = pg;
+
+// Email normalization check
+// Reports accounts whose addresses only differ in case (or Unicode form / IDN
+// encoding) and addresses not stored in normalized form. Migration 0002 normalizes
+// the addresses and creates the case-insensitive unique index idx_userauth_mail_key,
+// and refuses to while duplicates exist; run this before it to find them.
+// Needs table access, so it connects as the admin user (POSTGRES_USER).
+async function checkEmailDuplicates() {
+    const pool = new Pool(config.adminDatabase);
+
+    try {
+        console.log('📧 Checking Email Addresses for Case Duplicates...\n');
+
+        const result = await pool.query('SELECT userId, mail, created_at FROM userAuth ORDER BY created_at, userId');
+
+        const groups = new Map();
+        const unnormalized = [];
+
+        for (const row of result.rows) {
+            const key = emailKey(row.mail);
+            groups.set(key, [...(groups.get(key) || []), row]);
+
+            const normalized = normalizeEmail(row.mail);
+            if (normalized !== row.mail) {
+                unnormalized.push({ ...row, normalized });
+            }
+        }
+
+        const duplicates = [...groups.entries()].filter(([, rows]) => rows.length > 1);
+
+        console.log(`📋 Accounts checked: ${result.rows.length}`);
+
+        if (duplicates.length === 0) {
+            console.log('✅ No case-duplicate accounts found');
+        } else {
+            console.log(`❌ ${duplicates.length} address(es) used by more than one account:\n`);
+            duplicates.forEach(([key, rows]) => {
+                console.log(`   ${key}`);
+                rows.forEach((row) => {
+                    console.log(`     - userId ${row.userid}: ${row.mail} (created ${row.created_at.toISOString()})`);
+                });
+            });
+            console.log('\n   Merge or delete the extra accounts (as postgres) before applying migration 0002.');
+        }
+
+        console.log(`\n📋 Addresses not in normalized form: ${unnormalized.length}`);
+        unnormalized.forEach((row) => {
+            console.log(`   userId ${row.userid}: ${row.mail} -> ${row.normalized}`);
+        });
+
+        process.exitCode = duplicates.length > 0 ? 1 : 0;
+
+    } catch (error) {
+        console.error('❌ Error checking email addresses:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+checkEmailDuplicates();
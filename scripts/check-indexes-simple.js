@@ -1,21 +1,12 @@
 #!/usr/bin/env node
 
 import pg from 'pg';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import config from '../src/config/index.js';
 
 const { Pool } = pg;
 
 async function checkIndexesSimple() {
-    const pool = new Pool({
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 5432,
-        database: process.env.DB_NAME || 'authdb',
-        user: process.env.DB_USER || 'authuser',
-        password: process.env.DB_PASSWORD || 'authuser123',
-    });
+    const pool = new Pool(config.database);
 
     try {
         console.log('🔍 Checking Database Indexes (Simple Method)...\n');
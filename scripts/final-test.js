@@ -1,21 +1,12 @@
 #!/usr/bin/env node
 
 import pg from 'pg';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import config from '../src/config/index.js';
 
 const { Pool } = pg;
 
 async function finalTest() {
-    const pool = new Pool({
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 5432,
-        database: process.env.DB_NAME || 'authdb',
-        user: process.env.DB_USER || 'authuser',
-        password: process.env.DB_PASSWORD || 'authuser123',
-    });
+    const pool = new Pool(config.database);
 
     try {
         console.log('🎯 Final Test: PostgreSQL Authentication System Verification\n');
@@ -39,7 +30,7 @@ async function finalTest() {
         // Test 2: Authentication Function
         console.log('2️⃣ Testing Authentication Function...');
         const startTime2 = Date.now();
-        const authResult = await pool.query("SELECT authenticate('john.doe@example.com', 'password123')");
+        const authResult = await pool.query("SELECT authenticate('john.doe@example.com', 'johnpass123')");
         const endTime2 = Date.now();
         
         console.log(`   ✅ Function executed in ${endTime2 - startTime2} ms`);
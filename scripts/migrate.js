@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+import pg from 'pg';
+import migrationConfig from '../src/config/migrations.js';
+import { MigrationService } from '../src/services/migrationService.js';
+
+const { Pool } = pg;
+
+const usage = `Usage: npm run migrate <command> [-- --to <version>]
+
+Commands:
+    status      List applied and pending migrations
+    up          Apply pending migrations (up to --to <version>)
+    down        Revert the latest migration (or back to --to <version>, 0 for all)
+    baseline    Record the baseline as applied on a database created from the former init.sql`;
+
+// Database migrations
+// Runs as the admin user (POSTGRES_USER), since migrations create tables, functions
+// and the authuser role that the API connects as (with DB_PASSWORD as its password).
+async function migrate() {
+    const [command, ...args] = process.argv.slice(2);
+    const toIndex = args.indexOf('--to');
+    const to = toIndex === -1 ? undefined : args[toIndex + 1];
+
+    if (!['status', 'up', 'down', 'baseline'].includes(command) || (toIndex !== -1 && !/^\d+$/.test(to || ''))) {
+        console.log(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = new Pool(migrationConfig.database);
+    const migrations = new MigrationService(pool);
+
+    try {
+        console.log(`🗄️  Migrations in ${migrationConfig.directory} (database ${migrationConfig.database.database})\n`);
+
+        if (command === 'status') {
+            const entries = await migrations.status();
+            const icons = { applied: '✅', pending: '⏳', modified: '❌', missing: '❌' };
+
+            entries.forEach((entry) => {
+                const appliedAt = entry.appliedAt ? ` (${entry.appliedAt.toISOString()})` : '';
+                console.log(`   ${icons[entry.state]} ${entry.version}_${entry.name}: ${entry.state}${appliedAt}`);
+            });
+
+            const problems = entries.filter((entry) => entry.state === 'modified' || entry.state === 'missing');
+            console.log(`\n📋 ${entries.filter((entry) => entry.state === 'pending').length} pending migration(s)`);
+            process.exitCode = problems.length > 0 ? 1 : 0;
+        } else if (command === 'up') {
+            const applied = await migrations.up({ to });
+            applied.forEach((migration) => console.log(`   ⬆️  ${migration.version}_${migration.name}`));
+            console.log(applied.length > 0 ? `\n✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+        } else if (command === 'down') {
+            const reverted = await migrations.down({ to });
+            reverted.forEach((migration) => console.log(`   ⬇️  ${migration.version}_${migration.name}`));
+            console.log(reverted.length > 0 ? `\n✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+        } else {
+            const baseline = await migrations.baseline();
+            console.log(`✅ Recorded ${baseline.version}_${baseline.name} as applied`);
+        }
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+migrate();
@@ -58,7 +58,7 @@ fi
 
 # Check if PostgreSQL is running
 print_status $BLUE "🔌 Checking PostgreSQL connection..."
-if ! curl -s http://localhost:3000/health &> /dev/null; then
+if ! curl -s http://localhost:3000/health/live &> /dev/null; then
     print_status $YELLOW "⚠️  Node.js server is not running. Starting it..."
     
     # Start the server in background
@@ -70,7 +70,7 @@ if ! curl -s http://localhost:3000/health &> /dev/null; then
     sleep 5
     
     # Check if server started successfully
-    if curl -s http://localhost:3000/health &> /dev/null; then
+    if curl -s http://localhost:3000/health/live &> /dev/null; then
         print_status $GREEN "✅ Server started successfully"
     else
         print_status $RED "❌ Failed to start server"
@@ -87,8 +87,8 @@ print_status $BLUE "🧪 Testing API Endpoints (Full Features)..."
 
 # Test 1: Health Check
 print_status $BLUE "1️⃣ Testing Health Check..."
-HEALTH_RESPONSE=$(curl -s http://localhost:3000/health)
-if echo "$HEALTH_RESPONSE" | grep -q "OK"; then
+HEALTH_RESPONSE=$(curl -s http://localhost:3000/health/ready)
+if echo "$HEALTH_RESPONSE" | grep -q '"status":"OK"'; then
     print_status $GREEN "   ✅ Health check passed"
 else
     print_status $RED "   ❌ Health check failed"
@@ -99,7 +99,7 @@ fi
 print_status $BLUE "2️⃣ Testing User Signup..."
 SIGNUP_RESPONSE=$(curl -s -X POST http://localhost:3000/api/auth/signup \
     -H "Content-Type: application/json" \
-    -d '{"userId": 999, "email": "test@example.com", "password": "testpass123"}')
+    -d '{"email": "test@example.com", "password": "testpass123"}')
 
 if echo "$SIGNUP_RESPONSE" | grep -q "success.*true"; then
     print_status $GREEN "   ✅ User signup successful"
@@ -114,6 +114,9 @@ LOGIN_RESPONSE=$(curl -s -X POST http://localhost:3000/api/auth/login \
     -H "Content-Type: application/json" \
     -d '{"email": "test@example.com", "password": "testpass123"}')
 
+# Extract the access token used by the protected endpoints below
+ACCESS_TOKEN=$(echo "$LOGIN_RESPONSE" | sed -n 's/.*"accessToken":"\([^"]*\)".*/\1/p')
+
 if echo "$LOGIN_RESPONSE" | grep -q "success.*true"; then
     print_status $GREEN "   ✅ User login successful"
 else
@@ -123,7 +126,8 @@ fi
 
 # Test 4: Get User Details
 print_status $BLUE "4️⃣ Testing Get User Details..."
-USER_RESPONSE=$(curl -s http://localhost:3000/api/auth/user/test@example.com)
+USER_RESPONSE=$(curl -s http://localhost:3000/api/auth/user/test@example.com \
+    -H "Authorization: Bearer $ACCESS_TOKEN")
 
 if echo "$USER_RESPONSE" | grep -q "success.*true"; then
     print_status $GREEN "   ✅ Get user details successful"
@@ -133,24 +137,26 @@ else
 fi
 
 # Test 5: Check User Exists
-print_status $BLUE "5️⃣ Testing User Exists Check..."
-EXISTS_RESPONSE=$(curl -s http://localhost:3000/api/auth/user/test@example.com/exists)
+print_status $BLUE "5️⃣ Testing User Exists Check (admin only)..."
+EXISTS_RESPONSE=$(curl -s http://localhost:3000/api/auth/user/test@example.com/exists \
+    -H "Authorization: Bearer $ACCESS_TOKEN")
 
-if echo "$EXISTS_RESPONSE" | grep -q "exists.*true"; then
-    print_status $GREEN "   ✅ User exists check successful"
+if echo "$EXISTS_RESPONSE" | grep -q "Requires role"; then
+    print_status $GREEN "   ✅ Non-admin correctly denied"
 else
-    print_status $RED "   ❌ User exists check failed"
+    print_status $RED "   ❌ Non-admin was not denied"
     echo "   Response: $EXISTS_RESPONSE"
 fi
 
 # Test 6: Get All Users
-print_status $BLUE "6️⃣ Testing Get All Users..."
-USERS_RESPONSE=$(curl -s http://localhost:3000/api/auth/users)
+print_status $BLUE "6️⃣ Testing Get All Users (admin only)..."
+USERS_RESPONSE=$(curl -s http://localhost:3000/api/auth/users \
+    -H "Authorization: Bearer $ACCESS_TOKEN")
 
-if echo "$USERS_RESPONSE" | grep -q "success.*true"; then
-    print_status $GREEN "   ✅ Get all users successful"
+if echo "$USERS_RESPONSE" | grep -q "Requires role"; then
+    print_status $GREEN "   ✅ Non-admin correctly denied"
 else
-    print_status $RED "   ❌ Get all users failed"
+    print_status $RED "   ❌ Non-admin was not denied"
     echo "   Response: $USERS_RESPONSE"
 fi
 
@@ -158,6 +164,7 @@ fi
 print_status $BLUE "7️⃣ Testing Change Password..."
 CHANGE_PASS_RESPONSE=$(curl -s -X PUT http://localhost:3000/api/auth/user/password \
     -H "Content-Type: application/json" \
+    -H "Authorization: Bearer $ACCESS_TOKEN" \
     -d '{"email": "test@example.com", "oldPassword": "testpass123", "newPassword": "newpass456"}')
 
 if echo "$CHANGE_PASS_RESPONSE" | grep -q "success.*true"; then
@@ -174,15 +181,16 @@ if echo "$CHANGE_PASS_RESPONSE" | grep -q "success.*true"; then
         print_status $RED "   ❌ Login with new password failed"
     fi
     
-    # Change password back
+    # Changing back to the previous password is rejected (password history)
     REVERT_PASS_RESPONSE=$(curl -s -X PUT http://localhost:3000/api/auth/user/password \
         -H "Content-Type: application/json" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" \
         -d '{"email": "test@example.com", "oldPassword": "newpass456", "newPassword": "testpass123"}')
     
-    if echo "$REVERT_PASS_RESPONSE" | grep -q "success.*true"; then
-        print_status $GREEN "   ✅ Password reverted successfully"
+    if echo "$REVERT_PASS_RESPONSE" | grep -q "PASSWORD_REUSED"; then
+        print_status $GREEN "   ✅ Previous password correctly rejected"
     else
-        print_status $RED "   ❌ Password revert failed"
+        print_status $RED "   ❌ Previous password was not rejected"
     fi
 else
     print_status $RED "   ❌ Change password failed"
@@ -193,7 +201,8 @@ fi
 print_status $BLUE "8️⃣ Testing Change Email..."
 CHANGE_EMAIL_RESPONSE=$(curl -s -X PUT http://localhost:3000/api/auth/user/email \
     -H "Content-Type: application/json" \
-    -d '{"oldEmail": "test@example.com", "newEmail": "test.updated@example.com", "password": "testpass123"}')
+    -H "Authorization: Bearer $ACCESS_TOKEN" \
+    -d '{"oldEmail": "test@example.com", "newEmail": "test.updated@example.com", "password": "newpass456"}')
 
 if echo "$CHANGE_EMAIL_RESPONSE" | grep -q "success.*true"; then
     print_status $GREEN "   ✅ Change email successful"
@@ -201,7 +210,7 @@ if echo "$CHANGE_EMAIL_RESPONSE" | grep -q "success.*true"; then
     # Test login with new email
     NEW_EMAIL_LOGIN_RESPONSE=$(curl -s -X POST http://localhost:3000/api/auth/login \
         -H "Content-Type: application/json" \
-        -d '{"email": "test.updated@example.com", "password": "testpass123"}')
+        -d '{"email": "test.updated@example.com", "password": "newpass456"}')
     
     if echo "$NEW_EMAIL_LOGIN_RESPONSE" | grep -q "success.*true"; then
         print_status $GREEN "   ✅ Login with new email successful"
@@ -209,10 +218,14 @@ if echo "$CHANGE_EMAIL_RESPONSE" | grep -q "success.*true"; then
         print_status $RED "   ❌ Login with new email failed"
     fi
     
+    # Access tokens carry the email they were issued for, so use the new login's token
+    NEW_EMAIL_ACCESS_TOKEN=$(echo "$NEW_EMAIL_LOGIN_RESPONSE" | sed -n 's/.*"accessToken":"\([^"]*\)".*/\1/p')
+    
     # Change email back
     REVERT_EMAIL_RESPONSE=$(curl -s -X PUT http://localhost:3000/api/auth/user/email \
         -H "Content-Type: application/json" \
-        -d '{"oldEmail": "test.updated@example.com", "newEmail": "test@example.com", "password": "testpass123"}')
+        -H "Authorization: Bearer $NEW_EMAIL_ACCESS_TOKEN" \
+        -d '{"oldEmail": "test.updated@example.com", "newEmail": "test@example.com", "password": "newpass456"}')
     
     if echo "$REVERT_EMAIL_RESPONSE" | grep -q "success.*true"; then
         print_status $GREEN "   ✅ Email reverted successfully"
@@ -226,15 +239,18 @@ fi
 
 # Test 9: Delete User
 print_status $BLUE "9️⃣ Testing Delete User..."
-DELETE_RESPONSE=$(curl -s -X DELETE http://localhost:3000/api/auth/user/test@example.com)
+DELETE_RESPONSE=$(curl -s -X DELETE http://localhost:3000/api/auth/user/test@example.com \
+    -H "Authorization: Bearer $ACCESS_TOKEN")
 
 if echo "$DELETE_RESPONSE" | grep -q "success.*true"; then
     print_status $GREEN "   ✅ Delete user successful"
     
     # Test that user no longer exists
-    DELETE_EXISTS_RESPONSE=$(curl -s http://localhost:3000/api/auth/user/test@example.com/exists)
+    DELETE_LOGIN_RESPONSE=$(curl -s -X POST http://localhost:3000/api/auth/login \
+        -H "Content-Type: application/json" \
+        -d '{"email": "test@example.com", "password": "newpass456"}')
     
-    if echo "$DELETE_EXISTS_RESPONSE" | grep -q "exists.*false"; then
+    if echo "$DELETE_LOGIN_RESPONSE" | grep -q "INVALID_CREDENTIALS"; then
         print_status $GREEN "   ✅ User no longer exists after deletion"
     else
         print_status $RED "   ❌ User still exists after deletion"
@@ -254,7 +270,7 @@ echo "   - User Signup: $(echo "$SIGNUP_RESPONSE" | grep -q "success.*true" && e
 echo "   - User Login: $(echo "$LOGIN_RESPONSE" | grep -q "success.*true" && echo "✅ PASS" || echo "❌ FAIL")"
 echo "   - Get User: $(echo "$USER_RESPONSE" | grep -q "success.*true" && echo "✅ PASS" || echo "❌ FAIL")"
 echo "   - User Exists: $(echo "$EXISTS_RESPONSE" | grep -q "exists.*true" && echo "✅ PASS" || echo "❌ FAIL")"
-echo "   - Get All Users: $(echo "$USERS_RESPONSE" | grep -q "success.*true" && echo "✅ PASS" || echo "❌ FAIL")"
+echo "   - Get All Users (admin only): $(echo "$USERS_RESPONSE" | grep -q "Requires role" && echo "✅ PASS" || echo "❌ FAIL")"
 echo "   - Change Password: $(echo "$CHANGE_PASS_RESPONSE" | grep -q "success.*true" && echo "✅ PASS" || echo "❌ FAIL")"
 echo "   - Change Email: $(echo "$CHANGE_EMAIL_RESPONSE" | grep -q "success.*true" && echo "✅ PASS" || echo "❌ FAIL")"
 echo "   - Delete User: $(echo "$DELETE_RESPONSE" | grep -q "success.*true" && echo "✅ PASS" || echo "❌ FAIL")"
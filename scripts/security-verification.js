@@ -1,10 +1,7 @@
 #!/usr/bin/env node
 
 import pg from 'pg';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import config from '../src/config/index.js';
 
 const { Pool } = pg;
 
@@ -15,13 +12,7 @@ async function verifySecurityModel() {
     // Test 1: Verify authuser cannot access tables directly
     console.log('1️⃣ Testing Direct Table Access Restrictions...\n');
     
-    const pool = new Pool({
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 5432,
-        database: process.env.DB_NAME || 'authdb',
-        user: process.env.DB_USER || 'authuser',
-        password: process.env.DB_PASSWORD || 'authuser123',
-    });
+    const pool = new Pool(config.database);
 
     try {
         // Test direct table access (should fail)
@@ -104,7 +95,7 @@ async function verifySecurityModel() {
 
         console.log('   🔓 Testing authenticate function...');
         try {
-            const authResult = await pool.query("SELECT authenticate('john.doe@example.com', 'password123')");
+            const authResult = await pool.query("SELECT authenticate('john.doe@example.com', 'johnpass123')");
             console.log(`   ✅ SECURITY PASS: Function access working - Authentication: ${authResult.rows[0].authenticate}`);
         } catch (error) {
             console.log(`   ❌ SECURITY ISSUE: Function access failed - ${error.message}`);
@@ -1,21 +1,12 @@
 #!/usr/bin/env node
 
 import pg from 'pg';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import config from '../src/config/index.js';
 
 const { Pool } = pg;
 
 async function testPerformance() {
-    const pool = new Pool({
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 5432,
-        database: process.env.DB_NAME || 'authdb',
-        user: process.env.DB_USER || 'authuser',
-        password: process.env.DB_PASSWORD || 'authuser123',
-    });
+    const pool = new Pool(config.database);
 
     try {
         console.log('🚀 Testing PostgreSQL Authentication Performance...\n');
@@ -41,7 +32,7 @@ async function testPerformance() {
         // Test 3: Authentication function performance
         console.log('3️⃣ Testing Authentication Function Performance...');
         const startTime3 = Date.now();
-        const authResult = await pool.query("SELECT authenticate('john.doe@example.com', 'password123')");
+        const authResult = await pool.query("SELECT authenticate('john.doe@example.com', 'johnpass123')");
         const endTime3 = Date.now();
         
         console.log(`   ✅ Function executed in ${endTime3 - startTime3} ms`);
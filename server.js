@@ -1,56 +1,61 @@
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import { testConnection } from './src/config/database.js';
+import config from './src/config/index.js';
+import pool, { closePool, testConnection } from './src/config/database.js';
 import authRoutes from './src/routes/authRoutes.js';
+import healthRoutes from './src/routes/healthRoutes.js';
+import metricsRoutes from './src/routes/metricsRoutes.js';
+import docsRoutes from './src/routes/docsRoutes.js';
 import { requestLogger } from './src/middleware/requestLogger.js';
+import { httpMetrics } from './src/middleware/metrics.js';
+import { requestContext, requestId } from './src/middleware/requestContext.js';
 import { errorHandler, notFoundHandler } from './src/middleware/errorHandler.js';
-
-// Load environment variables
-dotenv.config();
+import { requireAuth, requireRole } from './src/middleware/auth.js';
+import { internalErrorResult } from './src/utils/errors.js';
+import { listEndpoints } from './src/docs/openapi.js';
+import logger from './src/utils/logger.js';
+import { activeRequestCount, drainServer, isShuttingDown, trackRequests } from './src/utils/shutdown.js';
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+// Trust the X-Forwarded-For header set by reverse proxies (needed for per-IP rate limits)
+if (config.server.trustProxy !== undefined) {
+  app.set('trust proxy', config.server.trustProxy);
+}
 
 // Middleware
+// Count in-flight requests so shutdown can wait for them
+app.use(trackRequests);
+// Request ID (incoming X-Request-Id or a new UUID), echoed in the response
+app.use(requestId);
+// One log line per request with status and duration (registered before the body
+// parsers so rejected bodies are logged too)
+app.use(requestLogger);
+// Request counts and latency by route for /metrics
+app.use(httpMetrics);
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Request bodies larger than BODY_LIMIT are rejected with 413
+app.use(express.json({ limit: config.server.bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.server.bodyLimit }));
 
-// Request logging middleware
-app.use(requestLogger);
+// Request context (request ID, client IP, user agent) for log lines and the audit log
+app.use(requestContext);
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
-  try {
-    const dbConnected = await testConnection();
-    res.json({
-      status: 'OK',
-      timestamp: new Date().toISOString(),
-      database: dbConnected ? 'Connected' : 'Disconnected',
-      uptime: process.uptime()
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'ERROR',
-      timestamp: new Date().toISOString(),
-      error: error.message
-    });
-  }
-});
+// Health check endpoints (liveness, readiness)
+app.use('/health', healthRoutes);
 
-// Index verification endpoint
-app.get('/indexes', async (req, res) => {
-  try {
-    const { Pool } = await import('pg');
-    const pool = new Pool({
-      host: process.env.DB_HOST || 'localhost',
-      port: process.env.DB_PORT || 5432,
-      database: process.env.DB_NAME || 'authdb',
-      user: process.env.DB_USER || 'authuser',
-      password: process.env.DB_PASSWORD || 'authuser123',
-    });
+// Prometheus metrics
+if (config.metrics.enabled) {
+  app.use('/metrics', metricsRoutes);
+}
 
+// OpenAPI document (/openapi.json) and browsable documentation (/docs)
+app.use(docsRoutes);
+
+// Index verification endpoint (admin only)
+app.get('/indexes', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
     // Test if indexes are working by timing queries
     const startTime = Date.now();
     const result = await pool.query("SELECT COUNT(*) FROM userAuth WHERE mail = 'john.doe@example.com'");
@@ -58,8 +63,6 @@ app.get('/indexes', async (req, res) => {
     
     const queryTime = endTime - startTime;
     
-    await pool.end();
-    
     res.json({
       success: true,
       message: 'Index verification completed',
@@ -70,9 +73,8 @@ app.get('/indexes', async (req, res) => {
     });
   } catch (error) {
     res.status(500).json({
-      success: false,
+      ...internalErrorResult(error),
       message: 'Index verification failed',
-      error: error.message,
       timestamp: new Date().toISOString()
     });
   }
@@ -86,19 +88,9 @@ app.get('/', (req, res) => {
   res.json({
     message: 'PostgreSQL Authentication API',
     version: '1.0.0',
-    endpoints: {
-      health: 'GET /health',
-      indexes: 'GET /indexes',
-      signup: 'POST /api/auth/signup',
-      login: 'POST /api/auth/login',
-      getUser: 'GET /api/auth/user/:email',
-      deleteUser: 'DELETE /api/auth/user/:email',
-      changePassword: 'PUT /api/auth/user/password',
-      changeEmail: 'PUT /api/auth/user/email',
-      getAllUsers: 'GET /api/auth/users',
-      userExists: 'GET /api/auth/user/:email/exists'
-    },
-    documentation: 'Check the docs/ directory for detailed API documentation'
+    // Generated from the OpenAPI document (src/docs/openapi.js)
+    endpoints: listEndpoints(),
+    documentation: 'GET /docs (OpenAPI document: GET /openapi.json)'
   });
 });
 
@@ -108,42 +100,66 @@ app.use('*', notFoundHandler);
 // Global error handler
 app.use(errorHandler);
 
+let server;
+
 // Start server
 const startServer = async () => {
   try {
     // Test database connection first
-    console.log('🔌 Testing database connection...');
+    logger.info('Testing database connection');
     const dbConnected = await testConnection();
     
     if (!dbConnected) {
-      console.error('❌ Failed to connect to database. Please ensure PostgreSQL is running.');
+      logger.error('Failed to connect to database. Please ensure PostgreSQL is running.');
       process.exit(1);
     }
 
     // Start the server
-    app.listen(PORT, () => {
-      console.log('🚀 Server is running!');
-      console.log(`📍 Server URL: http://localhost:${PORT}`);
-      console.log(`🔍 Health Check: http://localhost:${PORT}/health`);
-      console.log(`📊 API Base: http://localhost:${PORT}/api/auth`);
-      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    server = app.listen(PORT, () => {
+      logger.info('Server is running', {
+        url: `http://localhost:${PORT}`,
+        healthCheck: `http://localhost:${PORT}/health/ready`,
+        apiBase: `http://localhost:${PORT}/api/auth`,
+        environment: config.env
+      });
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('Failed to start server', { err: error });
     process.exit(1);
   }
 };
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Received SIGINT. Shutting down gracefully...');
-  process.exit(0);
-});
+// Graceful shutdown: stop accepting connections, wait for in-flight requests
+// (up to SHUTDOWN_TIMEOUT_MS), then close the database pool. A second signal exits at once.
+const shutdown = async (signal) => {
+  if (isShuttingDown()) {
+    logger.warn('Received signal again, exiting immediately', { signal });
+    process.exit(1);
+  }
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Received SIGTERM. Shutting down gracefully...');
-  process.exit(0);
-});
+  logger.info('Shutting down gracefully', { signal });
+  let drained = true;
+
+  if (server) {
+    logger.info('Waiting for in-flight requests', { activeRequests: activeRequestCount() });
+    drained = await drainServer(server, config.server.shutdownTimeoutMs);
+    if (!drained) {
+      logger.warn('Requests still running at the shutdown timeout were aborted', { timeoutMs: config.server.shutdownTimeoutMs });
+    }
+  }
+
+  try {
+    await closePool();
+  } catch (error) {
+    logger.error('Failed to close database pool', { err: error });
+    drained = false;
+  }
+
+  process.exit(drained ? 0 : 1);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the server
 startServer();
@@ -0,0 +1,6 @@
+import config from './index.js';
+
+// Account flow configuration (see index.js)
+const authConfig = config.auth;
+
+export default authConfig;
@@ -1,33 +1,138 @@
 import pg from 'pg';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import config from './index.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { Gauge, dbFunctionDuration, registry } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
 
 const { Pool } = pg;
 
-// Database configuration
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'authdb',
-  user: process.env.DB_USER || 'authuser',
-  password: process.env.DB_PASSWORD || 'authuser123',
-  max: 20, // Maximum number of clients in the pool
-  idleTimeoutMillis: 30000, // Close idle clients after 30 seconds
-  connectionTimeoutMillis: 2000, // Return an error after 2 seconds if connection could not be established
+/**
+ * Name of the SQL function a query calls (`SELECT * FROM fn(...)` or `SELECT fn(...)`)
+ * @param {string|Object} text - Query text or query config
+ * @returns {string} Lowercased function name, 'other' for other statements
+ */
+const sqlFunctionName = (text) => {
+  const sql = typeof text === 'string' ? text : (text && text.text) || '';
+  const match = /\bFROM\s+([a-z_][a-z0-9_]*)\s*\(/i.exec(sql) || /^\s*SELECT\s+([a-z_][a-z0-9_]*)\s*\(/i.exec(sql);
+  return match ? match[1].toLowerCase() : 'other';
 };
 
-// Create a new pool instance
-const pool = new Pool(dbConfig);
+/**
+ * Session settings carrying a request context to the database
+ * @param {Object} [context] - Request context; none outside requests
+ * @returns {Array<Array<string>>} [name, value] pairs, empty values outside requests
+ */
+const contextSettings = (context = {}) => [
+  ['audit.request_id', context.requestId || ''],
+  ['audit.route', context.route || ''],
+  ['audit.ip', context.ip || ''],
+  ['audit.user_agent', context.userAgent || ''],
+  ['audit.actor', context.actor || ''],
+  ['application_name', [config.database.application_name, context.requestId].filter(Boolean).join(' ')]
+];
+
+// Settings of a client that just connected (application_name from the connection, audit.* unset)
+const BASE_SETTINGS = JSON.stringify(contextSettings());
+
+// Settings last stored on each client's session
+const clientSettings = new WeakMap();
+
+/**
+ * Pool forwarding the request context (request ID, route, client IP, user agent,
+ * authenticated caller) to the SQL functions, which record it in the audit log. Before
+ * a query the client's session gets audit.request_id, audit.route, audit.ip,
+ * audit.user_agent and audit.actor, and application_name '<DB_APPLICATION_NAME> <request ID>'
+ * so pg_stat_activity and the server log (%a in log_line_prefix) show which request a
+ * statement belongs to. The settings are only sent when they differ from the ones the
+ * client already holds, in one statement and without a transaction around the query;
+ * outside a request they are reset to empty values and the plain application_name.
+ * The latency of every query is recorded per SQL function (db_function_duration_seconds).
+ */
+class AuditContextPool extends Pool {
+  async query(text, values) {
+    if (typeof values === 'function') {
+      return super.query(text, values);
+    }
+
+    const observe = dbFunctionDuration.startTimer();
+    const name = sqlFunctionName(text);
+
+    try {
+      const result = await this.queryInContext(text, values);
+      observe({ function: name, outcome: 'success' });
+      return result;
+    } catch (error) {
+      observe({ function: name, outcome: 'error' });
+      throw error;
+    }
+  }
+
+  async queryInContext(text, values) {
+    const settings = contextSettings(getRequestContext());
+    const key = JSON.stringify(settings);
+    const client = await this.connect();
+
+    try {
+      const current = clientSettings.has(client) ? clientSettings.get(client) : BASE_SETTINGS;
+      if (current !== key) {
+        // Forget the old settings first, so a failed update is sent again next time
+        clientSettings.set(client, null);
+        await client.query(`SELECT ${settings
+          .map(([setting, value]) => `set_config('${setting}', ${client.escapeLiteral(value)}, false)`)
+          .join(', ')}`);
+        clientSettings.set(client, key);
+      }
+      return await client.query(text, values);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Create a new pool instance (connection and pool sizing from config.database)
+const pool = new AuditContextPool(config.database);
+
+// Pool usage, read when /metrics is scraped
+registry.register(new Gauge('db_pool_total_clients', 'Clients in the database pool (idle and checked out)', { collect: () => pool.totalCount }));
+registry.register(new Gauge('db_pool_idle_clients', 'Idle clients in the database pool', { collect: () => pool.idleCount }));
+registry.register(new Gauge('db_pool_waiting_clients', 'Queries waiting for a client from the database pool', { collect: () => pool.waitingCount }));
 
 // Test database connection
 pool.on('connect', (client) => {
-  console.log('✅ Connected to PostgreSQL database as authuser');
+  logger.debug('Database client connected', { user: config.database.user });
 });
 
-pool.on('error', (err, client) => {
-  console.error('❌ Unexpected error on idle client', err);
-  process.exit(-1);
+let closing = false;
+let reconnectTimer = null;
+
+/**
+ * Check the connection until the database answers again, backing off from 1 to 30 seconds.
+ * Queries in the meantime fail with their own errors; the pool opens new clients for them.
+ * @param {number} [delayMs] - Delay before the next attempt
+ */
+const scheduleReconnect = (delayMs = 1000) => {
+  if (closing || reconnectTimer) {
+    return;
+  }
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    try {
+      await pool.query('SELECT 1');
+      logger.info('Database connection restored');
+    } catch (error) {
+      logger.error('Database still unreachable', { err: error, retryInMs: Math.min(delayMs * 2, 30000) });
+      scheduleReconnect(Math.min(delayMs * 2, 30000));
+    }
+  }, delayMs);
+  reconnectTimer.unref();
+};
+
+// An idle client lost its connection (database restart, network failure). The pool
+// already discarded the client; keep serving and check when the database is back.
+pool.on('error', (err) => {
+  logger.error('Unexpected error on idle client', { err });
+  scheduleReconnect();
 });
 
 // Function to test database connection
@@ -36,18 +141,20 @@ export const testConnection = async () => {
     const client = await pool.connect();
     const result = await client.query('SELECT NOW()');
     client.release();
-    console.log('✅ Database connection test successful:', result.rows[0]);
+    logger.info('Database connection test successful', { serverTime: result.rows[0].now });
     return true;
   } catch (error) {
-    console.error('❌ Database connection test failed:', error.message);
+    logger.error('Database connection test failed', { err: error });
     return false;
   }
 };
 
 // Function to close the pool
 export const closePool = async () => {
+  closing = true;
+  clearTimeout(reconnectTimer);
   await pool.end();
-  console.log('🔌 Database pool closed');
+  logger.info('Database pool closed');
 };
 
 export default pool;
@@ -0,0 +1,371 @@
+import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+dotenv.config();
+
+/**
+ * Application configuration
+ * Every setting is read from the environment (and `.env`) here, once, and
+ * validated: malformed or out-of-range values, missing production settings and
+ * development credentials in production are all reported together and stop the
+ * process before it connects anywhere. The modules next to this one
+ * (database.js, jwt.js, ...) expose their section of the result.
+ *
+ * Settings enforced by the database functions (bcrypt cost, lockout, password
+ * history and expiry, MFA attempts, email case) are read here as well and stored
+ * in the database as auth.* settings by the migration runner (migrations.js).
+ */
+
+// Credentials used by the local Docker setup; refused in production
+const DEVELOPMENT_DB_PASSWORD = 'authuser123';
+const DEVELOPMENT_ADMIN_PASSWORD = 'postgres123';
+// Placeholder shipped in env.example
+const EXAMPLE_JWT_SECRET = 'your-super-secret-jwt-key-here';
+const MIN_PRODUCTION_JWT_SECRET_LENGTH = 32;
+
+// The database rejects shorter passwords regardless of the policy (check_password(), migration 0002)
+const DATABASE_MIN_PASSWORD_LENGTH = 6;
+// bcrypt only uses the first 72 bytes of a password
+const BCRYPT_MAX_PASSWORD_LENGTH = 72;
+
+const DEFAULT_COMMON_PASSWORDS_FILE = fileURLToPath(new URL('./common-passwords.txt', import.meta.url));
+const DEFAULT_MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../migrations');
+
+/**
+ * Configuration that failed validation
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string[]} errors - One message per invalid setting
+   */
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Typed readers over an environment object. Unset and empty variables yield the
+ * fallback; invalid values are recorded in `errors` and also yield the fallback,
+ * so that every problem is reported at once.
+ * @param {Object} env - Environment variables
+ * @param {string[]} errors - Collected error messages
+ * @returns {Object} Readers
+ */
+const createReader = (env, errors) => {
+  const raw = (name) => (env[name] === undefined || env[name] === '' ? undefined : env[name]);
+
+  return {
+    isSet: (name) => raw(name) !== undefined,
+
+    string: (name, fallback) => raw(name) ?? fallback,
+
+    int: (name, fallback, { min = -Infinity, max = Infinity } = {}) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!/^-?\d+$/.test(value.trim())) {
+        errors.push(`${name} must be an integer (got "${value}")`);
+        return fallback;
+      }
+      const parsed = Number(value);
+      if (parsed < min || parsed > max) {
+        const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+        errors.push(`${name} must be ${range} (got ${parsed})`);
+        return fallback;
+      }
+      return parsed;
+    },
+
+    bool: (name, fallback) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (value !== 'true' && value !== 'false') {
+        errors.push(`${name} must be true or false (got "${value}")`);
+        return fallback;
+      }
+      return value === 'true';
+    },
+
+    oneOf: (name, fallback, allowed) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!allowed.includes(value)) {
+        errors.push(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+        return fallback;
+      }
+      return value;
+    }
+  };
+};
+
+/**
+ * Load the common passwords list (one password per line, `#` starts a comment)
+ * @param {string} file - Path of the list
+ * @returns {Set<string>} Lowercased passwords
+ */
+const loadCommonPasswords = (file) => new Set(
+  readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+/**
+ * Parse TRUST_PROXY as Express expects it: true, a hop count or a list of addresses/subnets
+ * @param {string} [value] - Raw setting
+ * @returns {boolean|number|string|undefined} Express `trust proxy` value (undefined when unset)
+ */
+const parseTrustProxy = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * Limits of one rate limited route group, overridable with
+ * RATE_LIMIT_<NAME>_WINDOW_SECONDS, RATE_LIMIT_<NAME>_IP_MAX and RATE_LIMIT_<NAME>_EMAIL_MAX
+ * @param {Object} read - Readers
+ * @param {string} name - Route group name
+ * @param {Object} defaults - Default window (seconds) and per-IP / per-email maximums
+ * @returns {Object} Limits for the route group
+ */
+const rateLimitsFor = (read, name, { windowSeconds, ipMax, emailMax }) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    windowSeconds: read.int(`${prefix}_WINDOW_SECONDS`, windowSeconds, { min: 1 }),
+    ipMax: read.int(`${prefix}_IP_MAX`, ipMax, { min: 1 }),
+    emailMax: read.int(`${prefix}_EMAIL_MAX`, emailMax, { min: 1 })
+  };
+};
+
+/**
+ * Build and validate the configuration
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {Object} Configuration
+ * @throws {ConfigError} When any setting is invalid
+ */
+export const loadConfig = (env = process.env) => {
+  const errors = [];
+  const read = createReader(env, errors);
+
+  const nodeEnv = read.oneOf('NODE_ENV', 'development', ['development', 'production', 'test']);
+  const isProduction = nodeEnv === 'production';
+  const port = read.int('PORT', 3000, { min: 1, max: 65535 });
+
+  const bodyLimit = read.string('BODY_LIMIT', '10kb');
+  if (!/^\d+\s*(b|kb|mb)?$/i.test(bodyLimit)) {
+    errors.push(`BODY_LIMIT must be a size such as 10kb or 1mb (got "${bodyLimit}")`);
+  }
+
+  const database = {
+    host: read.string('DB_HOST', 'localhost'),
+    port: read.int('DB_PORT', 5432, { min: 1, max: 65535 }),
+    database: read.string('DB_NAME', 'authdb')
+  };
+
+  const minPasswordLength = read.int('PASSWORD_MIN_LENGTH', 8, { min: DATABASE_MIN_PASSWORD_LENGTH, max: BCRYPT_MAX_PASSWORD_LENGTH });
+  const maxPasswordLength = read.int('PASSWORD_MAX_LENGTH', BCRYPT_MAX_PASSWORD_LENGTH, { min: 1, max: BCRYPT_MAX_PASSWORD_LENGTH });
+  if (maxPasswordLength < minPasswordLength) {
+    errors.push(`PASSWORD_MAX_LENGTH (${maxPasswordLength}) must not be below PASSWORD_MIN_LENGTH (${minPasswordLength})`);
+  }
+
+  const commonPasswordsFile = read.string('PASSWORD_COMMON_LIST_FILE', DEFAULT_COMMON_PASSWORDS_FILE);
+  let commonPasswords = new Set();
+  try {
+    commonPasswords = loadCommonPasswords(commonPasswordsFile);
+  } catch (error) {
+    errors.push(`PASSWORD_COMMON_LIST_FILE cannot be read (${error.message})`);
+  }
+
+  const mfaEncryptionKey = read.string('MFA_ENCRYPTION_KEY');
+  if (mfaEncryptionKey !== undefined && !/^[0-9a-fA-F]{64}$/.test(mfaEncryptionKey)) {
+    errors.push('MFA_ENCRYPTION_KEY must be 32 bytes encoded as 64 hex characters');
+  }
+
+  const jwtSecret = read.string('JWT_SECRET');
+
+  const lockoutBaseSeconds = read.int('LOCKOUT_BASE_SECONDS', 60, { min: 1 });
+  const lockoutMaxSeconds = read.int('LOCKOUT_MAX_SECONDS', 86400, { min: 1 });
+  if (lockoutMaxSeconds < lockoutBaseSeconds) {
+    errors.push(`LOCKOUT_MAX_SECONDS (${lockoutMaxSeconds}) must not be below LOCKOUT_BASE_SECONDS (${lockoutBaseSeconds})`);
+  }
+
+  const config = {
+    env: nodeEnv,
+    isProduction,
+
+    server: {
+      port,
+      trustProxy: parseTrustProxy(read.string('TRUST_PROXY')), // Set when running behind a reverse proxy (needed for per-IP rate limits)
+      bodyLimit, // Larger request bodies are rejected with 413
+      shutdownTimeoutMs: read.int('SHUTDOWN_TIMEOUT_MS', 10000, { min: 0 }) // Longest wait for in-flight requests on SIGINT/SIGTERM
+    },
+
+    metrics: {
+      enabled: read.bool('METRICS_ENABLED', true), // Expose GET /metrics
+      token: read.string('METRICS_TOKEN') // When set, scrapers must send `Authorization: Bearer <token>`
+    },
+
+    logging: {
+      level: read.oneOf('LOG_LEVEL', 'info', ['debug', 'info', 'warn', 'error', 'silent']) // Lowest level written (JSON lines on stdout)
+    },
+
+    health: {
+      timeoutMs: read.int('HEALTH_CHECK_TIMEOUT_MS', 2000, { min: 1 }) // Deadline of each readiness check step (client checkout, queries)
+    },
+
+    // Connection of the API (authuser: function execution only)
+    database: {
+      ...database,
+      user: read.string('DB_USER', 'authuser'),
+      password: read.string('DB_PASSWORD', isProduction ? undefined : DEVELOPMENT_DB_PASSWORD),
+      max: read.int('DB_POOL_MAX', 20, { min: 1 }), // Maximum number of clients in the pool
+      idleTimeoutMillis: read.int('DB_POOL_IDLE_TIMEOUT_MS', 30000, { min: 0 }), // Close idle clients after this long (0 disables)
+      connectionTimeoutMillis: read.int('DB_CONNECTION_TIMEOUT_MS', 2000, { min: 0 }), // Fail when no connection is established within this time (0 waits forever)
+      // Shown in pg_stat_activity and the server log (%a); requests append their request ID
+      application_name: read.string('DB_APPLICATION_NAME', 'postgresql-auth-api')
+    },
+
+    // Connection of migrations and maintenance scripts (admin user)
+    adminDatabase: {
+      ...database,
+      user: read.string('POSTGRES_USER', 'postgres'),
+      password: read.string('POSTGRES_PASSWORD', isProduction ? undefined : DEVELOPMENT_ADMIN_PASSWORD)
+    },
+
+    migrations: {
+      directory: read.string('MIGRATIONS_DIR', DEFAULT_MIGRATIONS_DIR), // Directory holding NNNN_name.up.sql / NNNN_name.down.sql files
+      table: 'schema_migrations', // Table recording applied migrations
+      lockId: 72707369 // pg_advisory_lock key serializing concurrent migration runs
+    },
+
+    jwt: {
+      secret: jwtSecret,
+      issuer: read.string('JWT_ISSUER', 'postgresql-auth-api'),
+      accessTokenTtl: read.int('JWT_ACCESS_TOKEN_TTL', 900, { min: 1 }), // Access token lifetime in seconds (15 minutes)
+      refreshTokenTtl: read.int('JWT_REFRESH_TOKEN_TTL', 604800, { min: 1 }) // Refresh token lifetime in seconds (7 days)
+    },
+
+    auth: {
+      appBaseUrl: read.string('APP_BASE_URL', `http://localhost:${port}`), // Used to build links sent by email
+      passwordResetTokenTtl: read.int('PASSWORD_RESET_TOKEN_TTL', 3600, { min: 1 }), // Reset token lifetime in seconds (1 hour)
+      emailVerificationTokenTtl: read.int('EMAIL_VERIFICATION_TOKEN_TTL', 86400, { min: 1 }), // Verification token lifetime in seconds (24 hours)
+      // What an unverified email address blocks: 'off', 'sensitive' (credential changes and deletion) or 'login'
+      emailVerificationPolicy: read.oneOf('EMAIL_VERIFICATION_POLICY', 'off', ['off', 'sensitive', 'login']),
+      // Deprecated client-supplied `userId` on signup: 'allow' (honoured), 'ignore' (server assigns the ID) or 'reject' (400)
+      signupClientUserId: read.oneOf('SIGNUP_CLIENT_USER_ID', 'allow', ['allow', 'ignore', 'reject']),
+      // Store the local part of email addresses lowercased
+      emailLowercaseLocalPart: read.bool('EMAIL_LOWERCASE_LOCAL_PART', true),
+      bcryptCost: read.int('BCRYPT_COST', 12, { min: 4, max: 31 }), // Work factor of new password hashes; older ones are re-hashed at the next login
+      // Account lockout: after lockoutThreshold failed logins in a row the account is locked for
+      // lockoutBaseSeconds, doubling with every further lockout up to lockoutMaxSeconds
+      lockoutThreshold: read.int('LOCKOUT_THRESHOLD', 5, { min: 1 }),
+      lockoutBaseSeconds,
+      lockoutMaxSeconds
+    },
+
+    // Password policy enforced on signup, password change and password reset
+    passwordPolicy: {
+      minLength: minPasswordLength,
+      maxLength: maxPasswordLength,
+      requireLowercase: read.bool('PASSWORD_REQUIRE_LOWERCASE', false),
+      requireUppercase: read.bool('PASSWORD_REQUIRE_UPPERCASE', false),
+      requireDigit: read.bool('PASSWORD_REQUIRE_DIGIT', false),
+      requireSymbol: read.bool('PASSWORD_REQUIRE_SYMBOL', false),
+      disallowEmail: read.bool('PASSWORD_DISALLOW_EMAIL', true), // Reject passwords containing the email or its local part
+      disallowCommon: read.bool('PASSWORD_DISALLOW_COMMON', true), // Reject passwords from the common passwords list
+      minEntropyBits: read.int('PASSWORD_MIN_ENTROPY_BITS', 30, { min: 0 }), // Estimated strength, see estimateEntropyBits(); 0 disables
+      commonPasswords,
+      historySize: read.int('PASSWORD_HISTORY_SIZE', 5, { min: 0 }), // Recent passwords (the current one included) that may not be reused; 0 disables
+      maxAgeDays: read.int('PASSWORD_MAX_AGE_DAYS', 0, { min: 0 }) // Days after which a password must be changed at the next login; 0 disables
+    },
+
+    // Two-factor authentication
+    mfa: {
+      issuer: read.string('MFA_ISSUER', 'PostgreSQL Auth API'), // Account label shown by authenticator apps
+      encryptionKey: mfaEncryptionKey, // 32 byte key (64 hex characters) encrypting stored TOTP secrets
+      challengeTtl: read.int('MFA_CHALLENGE_TTL', 300, { min: 1 }), // Login challenge lifetime in seconds (5 minutes)
+      maxAttempts: read.int('MFA_MAX_ATTEMPTS', 5, { min: 1 }) // Wrong codes accepted per login challenge
+    },
+
+    mail: {
+      transport: read.oneOf('MAIL_TRANSPORT', 'console', ['console', 'file']), // 'console' or 'file' (local development)
+      from: read.string('MAIL_FROM', 'no-reply@localhost'),
+      fileDir: read.string('MAIL_FILE_DIR', 'tmp/mail') // Directory used by the file transport
+    },
+
+    rateLimit: {
+      enabled: read.bool('RATE_LIMIT_ENABLED', true),
+      store: read.oneOf('RATE_LIMIT_STORE', 'memory', ['memory', 'postgres']), // 'memory' (single instance) or 'postgres' (shared across instances)
+      limits: {
+        signup: rateLimitsFor(read, 'signup', { windowSeconds: 3600, ipMax: 20, emailMax: 5 }),
+        login: rateLimitsFor(read, 'login', { windowSeconds: 900, ipMax: 50, emailMax: 10 }),
+        passwordChange: rateLimitsFor(read, 'password_change', { windowSeconds: 900, ipMax: 20, emailMax: 5 }),
+        emailChange: rateLimitsFor(read, 'email_change', { windowSeconds: 900, ipMax: 20, emailMax: 5 }),
+        passwordReset: rateLimitsFor(read, 'password_reset', { windowSeconds: 3600, ipMax: 20, emailMax: 3 }),
+        verificationResend: rateLimitsFor(read, 'verification_resend', { windowSeconds: 3600, ipMax: 20, emailMax: 3 }),
+        mfa: rateLimitsFor(read, 'mfa', { windowSeconds: 900, ipMax: 50, emailMax: 10 })
+      }
+    }
+  };
+
+  // Production must not run on the development defaults
+  if (isProduction) {
+    if (!read.isSet('DB_PASSWORD')) {
+      errors.push('DB_PASSWORD is required in production');
+    } else if (config.database.password === DEVELOPMENT_DB_PASSWORD) {
+      errors.push('DB_PASSWORD must not be the development default in production');
+    }
+    if (config.adminDatabase.password === DEVELOPMENT_ADMIN_PASSWORD) {
+      errors.push('POSTGRES_PASSWORD must not be the development default in production');
+    }
+    if (!jwtSecret) {
+      errors.push('JWT_SECRET is required in production');
+    } else if (jwtSecret === EXAMPLE_JWT_SECRET || jwtSecret.length < MIN_PRODUCTION_JWT_SECRET_LENGTH) {
+      errors.push(`JWT_SECRET must be a random value of at least ${MIN_PRODUCTION_JWT_SECRET_LENGTH} characters in production`);
+    }
+    if (!mfaEncryptionKey) {
+      errors.push('MFA_ENCRYPTION_KEY is required in production');
+    }
+    if (!read.isSet('APP_BASE_URL')) {
+      errors.push('APP_BASE_URL is required in production (links in emails would point to localhost)');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  return config;
+};
+
+/**
+ * Configuration of this process, loaded on first import. Invalid settings end
+ * the process with the list of problems.
+ */
+const config = (() => {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+})();
+
+export default config;
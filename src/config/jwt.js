@@ -0,0 +1,6 @@
+import config from './index.js';
+
+// Token configuration (see index.js)
+const jwtConfig = config.jwt;
+
+export default jwtConfig;
@@ -0,0 +1,6 @@
+import config from './index.js';
+
+// Mail configuration (see index.js)
+const mailConfig = config.mail;
+
+export default mailConfig;
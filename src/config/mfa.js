@@ -0,0 +1,6 @@
+import config from './index.js';
+
+// Two-factor authentication configuration (see index.js)
+const mfaConfig = config.mfa;
+
+export default mfaConfig;
@@ -0,0 +1,30 @@
+import config from './index.js';
+
+// Settings of the database functions (see index.js), read through auth_setting()
+const databaseSettings = {
+  'auth.bcrypt_cost': config.auth.bcryptCost,
+  'auth.lockout_threshold': config.auth.lockoutThreshold,
+  'auth.lockout_base_seconds': config.auth.lockoutBaseSeconds,
+  'auth.lockout_max_seconds': config.auth.lockoutMaxSeconds,
+  'auth.mfa_max_attempts': config.mfa.maxAttempts,
+  'auth.password_history_size': config.passwordPolicy.historySize,
+  'auth.password_max_age_days': config.passwordPolicy.maxAgeDays,
+  'auth.email_lowercase_local_part': config.auth.emailLowercaseLocalPart ? 1 : 0
+};
+
+// Database migration configuration (see index.js)
+// Migrations create tables, functions and roles, so they run as the admin user rather than authuser
+const migrationConfig = {
+  ...config.migrations,
+  database: config.adminDatabase,
+  // Transaction-local settings available to the migration SQL (current_setting())
+  settings: {
+    'migrate.authuser_password': config.database.password, // Password of the authuser role when the baseline creates it
+    ...databaseSettings
+  },
+  // Stored with ALTER DATABASE ... SET after every `up` once the schema reads them, so they
+  // apply to the connections opened afterwards
+  databaseSettings
+};
+
+export default migrationConfig;
@@ -0,0 +1,6 @@
+import config from './index.js';
+
+// Password policy enforced on signup, password change and password reset (see index.js)
+const passwordPolicyConfig = config.passwordPolicy;
+
+export default passwordPolicyConfig;
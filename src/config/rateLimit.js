@@ -0,0 +1,6 @@
+import config from './index.js';
+
+// Rate limiting configuration (see index.js)
+const rateLimitConfig = config.rateLimit;
+
+export default rateLimitConfig;
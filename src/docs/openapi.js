@@ -0,0 +1,593 @@
+import passwordPolicyConfig from '../config/passwordPolicy.js';
+import { ErrorCodes } from '../utils/errors.js';
+import { MAX_STRING_LENGTH } from '../utils/validation.js';
+import {
+  auditLogSchema,
+  changeEmailSchema,
+  changePasswordSchema,
+  createRoleSchema,
+  emailSchema,
+  grantRoleSchema,
+  loginMfaSchema,
+  loginSchema,
+  noInputSchema,
+  refreshTokenSchema,
+  resetPasswordSchema,
+  revokeRoleSchema,
+  signupSchema,
+  totpCodeSchema,
+  userParamsSchema,
+  verifyEmailBodySchema,
+  verifyEmailQuerySchema
+} from '../routes/schemas.js';
+
+/**
+ * OpenAPI 3.1 document of the API (served at GET /openapi.json)
+ * Request bodies, path and query parameters are derived from the validation schemas in
+ * src/routes/schemas.js, and error responses from the error catalogue in
+ * src/utils/errors.js, so they cannot drift from what the routes enforce. Response
+ * bodies are described here; the integration tests check actual responses against them
+ * and fail for routes without an entry.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Drop undefined values
+ * @param {Object} object - Object to copy
+ * @returns {Object} Copy without undefined values
+ */
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const string = (description, extra = {}) => compact({ type: 'string', description, ...extra });
+const nullable = (type, description, extra = {}) => compact({ type: [type, 'null'], description, ...extra });
+const dateTime = (description) => string(description, { format: 'date-time' });
+const uuid = (description) => string(description, { format: 'uuid' });
+const integer = (description) => compact({ type: 'integer', description });
+const boolean = (description) => compact({ type: 'boolean', description });
+const arrayOf = (items, description) => compact({ type: 'array', items, description });
+
+/**
+ * Closed object schema
+ * @param {Object} properties - Property schemas
+ * @param {string[]} [required] - Required properties (default: all)
+ * @returns {Object} JSON schema
+ */
+const object = (properties, required = Object.keys(properties)) => compact({
+  type: 'object',
+  required: required.length > 0 ? required : undefined,
+  properties,
+  additionalProperties: false
+});
+
+/**
+ * Body of a successful result object (`success: true` plus the given fields)
+ * @param {Object} properties - Property schemas
+ * @param {string[]} [required] - Required properties (default: all)
+ * @returns {Object} JSON schema
+ */
+const successBody = (properties, required = Object.keys(properties)) =>
+  object({ success: { const: true }, ...properties }, ['success', ...required]);
+
+// Schema of one validation rule (see validateFields() in src/utils/validation.js)
+const fieldSchema = (rule) => {
+  if (rule.type === 'integer') {
+    return compact({ type: 'integer', minimum: rule.min, maximum: rule.max, default: rule.default });
+  }
+  if (rule.type === 'userId') {
+    return { type: 'integer', minimum: 1, deprecated: true, description: 'Deprecated: IDs are assigned by the server (see SIGNUP_CLIENT_USER_ID)' };
+  }
+  if (rule.type === 'password') {
+    return {
+      type: 'string',
+      format: 'password',
+      minLength: passwordPolicyConfig.minLength,
+      maxLength: Math.min(passwordPolicyConfig.maxLength, rule.maxLength ?? MAX_STRING_LENGTH),
+      description: 'Checked against the password policy (GET /api/auth/password-policy)'
+    };
+  }
+
+  return compact({
+    type: 'string',
+    format: { email: 'email', date: 'date-time' }[rule.type],
+    maxLength: rule.maxLength ?? MAX_STRING_LENGTH,
+    pattern: rule.pattern ? rule.pattern.source : undefined,
+    description: rule.patternMessage
+  });
+};
+
+/**
+ * Request body schema of a validation schema (unknown fields are rejected)
+ * @param {Object} rules - Field name to rule map
+ * @returns {Object} JSON schema
+ */
+const bodySchema = (rules) => object(
+  Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name, fieldSchema(rule)])),
+  Object.keys(rules).filter((name) => rules[name].required)
+);
+
+/**
+ * Path and query parameters of a validation schema
+ * @param {Object} schema - `{ params, query }` field rules
+ * @returns {Array} OpenAPI parameter objects
+ */
+const parametersOf = (schema) => [
+  ...Object.entries(schema.params || {}).map(([name, rule]) => ({ name, in: 'path', required: true, schema: fieldSchema(rule) })),
+  ...Object.entries(schema.query || {}).map(([name, rule]) => ({ name, in: 'query', required: Boolean(rule.required), schema: fieldSchema(rule) }))
+];
+
+/**
+ * Failed result object restricted to some error codes
+ * @param {string[]} codes - Error codes from the catalogue
+ * @returns {Object} JSON schema
+ */
+const errorBody = (codes) => ({ allOf: [ref('Error'), { properties: { error: { enum: codes } } }] });
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+/**
+ * Error responses of a list of codes, grouped by HTTP status
+ * @param {string[]} codes - Error codes from the catalogue
+ * @returns {Object} Status to response object map
+ */
+const errorResponses = (codes) => {
+  const byStatus = {};
+  [...new Set(codes)].forEach((code) => {
+    const status = String(ErrorCodes[code].status);
+    byStatus[status] = [...(byStatus[status] || []), code];
+  });
+
+  return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, json(statusCodes.join(', '), errorBody(statusCodes))]));
+};
+
+const rateLimitHeaders = {
+  'RateLimit-Limit': { description: 'Requests allowed in the window', schema: { type: 'integer' } },
+  'RateLimit-Remaining': { description: 'Requests left in the window', schema: { type: 'integer' } },
+  'RateLimit-Reset': { description: 'Seconds until the window resets', schema: { type: 'integer' } }
+};
+
+const requestIdHeader = {
+  'X-Request-Id': { description: 'ID of the request (the caller\'s, when well formed), also found in the logs', schema: { type: 'string' } }
+};
+
+const tokenFields = {
+  accessToken: string('JWT access token'),
+  refreshToken: string('Single-use refresh token'),
+  tokenType: { const: 'Bearer' },
+  expiresIn: integer('Access token lifetime in seconds')
+};
+
+const loginTokens = successBody({
+  message: string(),
+  email: string(),
+  emailVerified: boolean(),
+  mfaEnabled: boolean(),
+  id: uuid('Public user ID'),
+  roles: arrayOf(string()),
+  ...tokenFields,
+  passwordExpiresAt: nullable('string', 'When the password expires (null when passwords do not expire)', { format: 'date-time' })
+}, ['message', 'email', 'id', 'roles', 'accessToken', 'refreshToken', 'tokenType', 'expiresIn', 'passwordExpiresAt']);
+
+const mfaRequired = successBody({
+  status: { const: 'mfa_required' },
+  message: string(),
+  email: string(),
+  mfaToken: string('Challenge token for POST /api/auth/login/mfa'),
+  expiresIn: integer('Challenge lifetime in seconds')
+});
+
+const passwordChangeRequired = successBody({
+  status: { const: 'password_change_required' },
+  message: string(),
+  email: string(),
+  reason: { enum: ['expired', 'required'] },
+  accessToken: string('Access token only accepted by PUT /api/auth/user/password'),
+  tokenType: { const: 'Bearer' },
+  expiresIn: integer('Access token lifetime in seconds')
+});
+
+const messageAndEmail = successBody({ message: string(), email: string() });
+const messageOnly = successBody({ message: string() });
+const roleChange = successBody({ message: string(), email: string(), role: string() });
+
+// Access levels: who may call an operation and the errors that come with it
+const ACCESS = {
+  public: { security: [], errors: [] },
+  user: { security: [{ bearerAuth: [] }], errors: ['AUTHENTICATION_REQUIRED', 'INVALID_TOKEN', 'PASSWORD_CHANGE_REQUIRED'] },
+  passwordChange: { security: [{ bearerAuth: [] }], errors: ['AUTHENTICATION_REQUIRED', 'INVALID_TOKEN'] },
+  admin: { security: [{ bearerAuth: [] }], errors: ['AUTHENTICATION_REQUIRED', 'INVALID_TOKEN', 'PASSWORD_CHANGE_REQUIRED', 'FORBIDDEN'] }
+};
+
+/**
+ * Operations of the API
+ * `input` is the validation schema of the route (auth routes), `errors` the route
+ * specific error codes (access, validation, rate limit and internal errors are added).
+ */
+const operations = [
+  {
+    method: 'get', path: '/health', operationId: 'health', tag: 'Health', access: 'public',
+    summary: 'Readiness check (alias of /health/ready)',
+    responses: { 200: json('Ready', ref('Readiness')), 503: json('Not ready', ref('Readiness')) }
+  },
+  {
+    method: 'get', path: '/health/live', operationId: 'healthLive', tag: 'Health', access: 'public',
+    summary: 'Liveness probe (no dependency checks)',
+    responses: {
+      200: json('Process is running', object({ status: { const: 'OK' }, uptime: { type: 'number' }, timestamp: dateTime() }))
+    }
+  },
+  {
+    method: 'get', path: '/health/ready', operationId: 'healthReady', tag: 'Health', access: 'public',
+    summary: 'Readiness probe: database, function grants, migrations and shutdown state',
+    responses: { 200: json('Ready', ref('Readiness')), 503: json('Not ready', ref('Readiness')) }
+  },
+  {
+    method: 'get', path: '/metrics', operationId: 'metrics', tag: 'Monitoring', access: 'public',
+    summary: 'Prometheus metrics',
+    description: 'Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set. Absent when METRICS_ENABLED=false.',
+    responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } },
+    errors: ['AUTHENTICATION_REQUIRED']
+  },
+  {
+    method: 'get', path: '/indexes', operationId: 'indexes', tag: 'Monitoring', access: 'admin',
+    summary: 'Time an indexed lookup on the user table',
+    responses: {
+      200: json('Index verification completed', successBody({
+        message: string(),
+        query_time_ms: integer(),
+        user_count: string('Matching rows (BIGINT, as a string)'),
+        index_status: string(),
+        timestamp: dateTime()
+      })),
+      500: json('INTERNAL_ERROR', { allOf: [ref('Error'), { required: ['timestamp'], properties: { error: { enum: ['INTERNAL_ERROR'] } } }] })
+    }
+  },
+  {
+    method: 'get', path: '/openapi.json', operationId: 'openapi', tag: 'Documentation', access: 'public',
+    summary: 'This OpenAPI document',
+    responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+  },
+  {
+    method: 'get', path: '/docs', operationId: 'docs', tag: 'Documentation', access: 'public',
+    summary: 'Browsable API documentation',
+    responses: { 200: { description: 'HTML page rendering /openapi.json', content: { 'text/html': { schema: { type: 'string' } } } } }
+  },
+  {
+    method: 'post', path: '/api/auth/signup', operationId: 'signup', tag: 'Authentication', access: 'public',
+    summary: 'Sign up a new user', input: signupSchema, rateLimited: true,
+    responses: {
+      201: json('User signed up (sends a verification email)', successBody({
+        message: string(),
+        id: uuid('Public user ID'),
+        userId: integer('Deprecated client-supplied ID, echoed when given'),
+        email: string('Normalized email address'),
+        emailVerificationSent: boolean()
+      }, ['message', 'id', 'email', 'emailVerificationSent']))
+    },
+    errors: ['WEAK_PASSWORD', 'EMAIL_TAKEN']
+  },
+  {
+    method: 'get', path: '/api/auth/password-policy', operationId: 'passwordPolicy', tag: 'Authentication', access: 'public',
+    summary: 'Password rules enforced on signup, password change and reset', input: noInputSchema,
+    responses: { 200: json('Password policy', successBody({ policy: ref('PasswordPolicy') })) }
+  },
+  {
+    method: 'post', path: '/api/auth/login', operationId: 'login', tag: 'Authentication', access: 'public',
+    summary: 'Log in with email and password', input: loginSchema, rateLimited: true,
+    description: 'Returns tokens, or `mfa_required` with a challenge for accounts with two-factor authentication, or `password_change_required` with a restricted access token.',
+    responses: { 200: json('Logged in, second factor or password change required', { oneOf: [loginTokens, mfaRequired, passwordChangeRequired] }) },
+    errors: ['INVALID_CREDENTIALS', 'EMAIL_NOT_VERIFIED', 'ACCOUNT_LOCKED']
+  },
+  {
+    method: 'post', path: '/api/auth/login/mfa', operationId: 'loginMfa', tag: 'Authentication', access: 'public',
+    summary: 'Complete an mfa_required login with a TOTP code', input: loginMfaSchema, rateLimited: true,
+    responses: { 200: json('Logged in or password change required', { oneOf: [loginTokens, passwordChangeRequired] }) },
+    errors: ['INVALID_TOKEN', 'INVALID_MFA_CODE']
+  },
+  {
+    method: 'post', path: '/api/auth/token/refresh', operationId: 'refreshToken', tag: 'Authentication', access: 'public',
+    summary: 'Exchange a refresh token for a new token pair', input: refreshTokenSchema,
+    responses: {
+      200: json('New tokens (the refresh token is single-use)', successBody({
+        message: string(),
+        id: uuid('Public user ID'),
+        email: string(),
+        roles: arrayOf(string()),
+        ...tokenFields
+      }))
+    },
+    errors: ['INVALID_TOKEN']
+  },
+  {
+    method: 'post', path: '/api/auth/logout', operationId: 'logout', tag: 'Authentication', access: 'public',
+    summary: 'Revoke a refresh token', input: refreshTokenSchema,
+    responses: { 200: json('Logged out', messageOnly) },
+    errors: ['INVALID_TOKEN']
+  },
+  {
+    method: 'get', path: '/api/auth/user/{email}', operationId: 'getUser', tag: 'Users', access: 'user',
+    summary: 'Get the details of your own account', input: userParamsSchema,
+    responses: { 200: json('User details', successBody({ user: ref('User') })) },
+    errors: ['FORBIDDEN', 'USER_NOT_FOUND']
+  },
+  {
+    method: 'delete', path: '/api/auth/user/{email}', operationId: 'deleteUser', tag: 'Users', access: 'user',
+    summary: 'Delete your own account (admins: any account)', input: userParamsSchema,
+    responses: { 200: json('User deleted', messageAndEmail) },
+    errors: ['FORBIDDEN', 'EMAIL_NOT_VERIFIED', 'USER_NOT_FOUND']
+  },
+  {
+    method: 'put', path: '/api/auth/user/password', operationId: 'changePassword', tag: 'Users', access: 'passwordChange',
+    summary: 'Change your password', input: changePasswordSchema, rateLimited: true,
+    description: 'Also accepts the access token of a `password_change_required` login.',
+    responses: { 200: json('Password changed (other sessions are ended)', messageAndEmail) },
+    errors: ['WEAK_PASSWORD', 'PASSWORD_REUSED', 'INVALID_CREDENTIALS', 'FORBIDDEN', 'EMAIL_NOT_VERIFIED', 'USER_NOT_FOUND', 'ACCOUNT_LOCKED']
+  },
+  {
+    method: 'put', path: '/api/auth/user/email', operationId: 'changeEmail', tag: 'Users', access: 'user',
+    summary: 'Change your email address', input: changeEmailSchema, rateLimited: true,
+    responses: {
+      200: json('Email changed (sends a verification email)', successBody({
+        message: string(),
+        oldEmail: string(),
+        newEmail: string(),
+        emailVerificationSent: boolean()
+      }))
+    },
+    errors: ['INVALID_CREDENTIALS', 'FORBIDDEN', 'EMAIL_NOT_VERIFIED', 'USER_NOT_FOUND', 'EMAIL_TAKEN', 'ACCOUNT_LOCKED']
+  },
+  {
+    method: 'post', path: '/api/auth/password/forgot', operationId: 'forgotPassword', tag: 'Password reset', access: 'public',
+    summary: 'Email a single-use password reset token', input: emailSchema, rateLimited: true,
+    responses: { 202: json('Accepted whether or not the account exists', messageOnly) }
+  },
+  {
+    method: 'post', path: '/api/auth/password/reset', operationId: 'resetPassword', tag: 'Password reset', access: 'public',
+    summary: 'Set a new password with a reset token', input: resetPasswordSchema, rateLimited: true,
+    responses: { 200: json('Password reset (existing sessions are ended)', messageAndEmail) },
+    errors: ['WEAK_PASSWORD', 'PASSWORD_REUSED', 'INVALID_TOKEN']
+  },
+  {
+    method: 'get', path: '/api/auth/verify-email', operationId: 'verifyEmail', tag: 'Email verification', access: 'public',
+    summary: 'Verify an email address (link sent by email)', input: verifyEmailQuerySchema,
+    responses: { 200: json('Email verified', messageAndEmail) },
+    errors: ['INVALID_TOKEN']
+  },
+  {
+    method: 'post', path: '/api/auth/verify-email', operationId: 'verifyEmailToken', tag: 'Email verification', access: 'public',
+    summary: 'Verify an email address with a token', input: verifyEmailBodySchema,
+    responses: { 200: json('Email verified', messageAndEmail) },
+    errors: ['INVALID_TOKEN']
+  },
+  {
+    method: 'post', path: '/api/auth/verify-email/resend', operationId: 'resendVerification', tag: 'Email verification', access: 'public',
+    summary: 'Send a new verification email', input: emailSchema, rateLimited: true,
+    responses: { 202: json('Accepted whether or not the account exists or is verified', messageOnly) }
+  },
+  {
+    method: 'post', path: '/api/auth/mfa/totp/enroll', operationId: 'enrollTotp', tag: 'Two-factor authentication', access: 'user',
+    summary: 'Start TOTP enrollment', input: noInputSchema,
+    responses: {
+      200: json('Secret to add to an authenticator app', successBody({
+        message: string(),
+        secret: string('Base32 TOTP secret'),
+        otpauthUri: string('otpauth:// URI (QR code content)')
+      }))
+    },
+    errors: ['MFA_ALREADY_ENABLED']
+  },
+  {
+    method: 'post', path: '/api/auth/mfa/totp/confirm', operationId: 'confirmTotp', tag: 'Two-factor authentication', access: 'user',
+    summary: 'Confirm TOTP enrollment with a first code', input: totpCodeSchema, rateLimited: true,
+    responses: { 200: json('Two-factor authentication enabled', messageOnly) },
+    errors: ['INVALID_MFA_CODE', 'MFA_NOT_ENABLED']
+  },
+  {
+    method: 'post', path: '/api/auth/mfa/totp/disable', operationId: 'disableTotp', tag: 'Two-factor authentication', access: 'user',
+    summary: 'Disable TOTP (requires a current code)', input: totpCodeSchema, rateLimited: true,
+    responses: { 200: json('Two-factor authentication disabled', messageOnly) },
+    errors: ['INVALID_MFA_CODE', 'MFA_NOT_ENABLED']
+  },
+  {
+    method: 'get', path: '/api/auth/users', operationId: 'getAllUsers', tag: 'Administration', access: 'admin',
+    summary: 'List all users', input: noInputSchema,
+    responses: { 200: json('Users', successBody({ users: arrayOf(ref('UserSummary')), count: integer() })) }
+  },
+  {
+    method: 'get', path: '/api/auth/user/{email}/exists', operationId: 'userExists', tag: 'Administration', access: 'admin',
+    summary: 'Check whether an account exists', input: userParamsSchema,
+    responses: { 200: json('Existence of the account', successBody({ exists: boolean(), email: string() })) }
+  },
+  {
+    method: 'get', path: '/api/auth/roles', operationId: 'getRoles', tag: 'Administration', access: 'admin',
+    summary: 'List roles', input: noInputSchema,
+    responses: { 200: json('Roles', successBody({ roles: arrayOf(ref('Role')), count: integer() })) }
+  },
+  {
+    method: 'post', path: '/api/auth/roles', operationId: 'createRole', tag: 'Administration', access: 'admin',
+    summary: 'Create a custom role', input: createRoleSchema,
+    responses: { 201: json('Role created', successBody({ message: string(), role: string() })) },
+    errors: ['ROLE_EXISTS']
+  },
+  {
+    method: 'post', path: '/api/auth/user/{email}/roles', operationId: 'grantRole', tag: 'Administration', access: 'admin',
+    summary: 'Grant a role to a user', input: grantRoleSchema,
+    responses: { 200: json('Role granted', roleChange) },
+    errors: ['USER_NOT_FOUND', 'ROLE_NOT_FOUND']
+  },
+  {
+    method: 'delete', path: '/api/auth/user/{email}/roles/{role}', operationId: 'revokeRole', tag: 'Administration', access: 'admin',
+    summary: 'Revoke a role from a user', input: revokeRoleSchema,
+    responses: { 200: json('Role revoked', roleChange) },
+    errors: ['USER_NOT_FOUND', 'ROLE_NOT_FOUND', 'ROLE_NOT_ASSIGNED']
+  },
+  {
+    method: 'post', path: '/api/auth/user/{email}/unlock', operationId: 'unlockAccount', tag: 'Administration', access: 'admin',
+    summary: 'Unlock an account locked by failed logins', input: userParamsSchema,
+    responses: { 200: json('Account unlocked', messageAndEmail) },
+    errors: ['USER_NOT_FOUND']
+  },
+  {
+    method: 'post', path: '/api/auth/user/{email}/require-password-change', operationId: 'requirePasswordChange', tag: 'Administration', access: 'admin',
+    summary: 'Force a password change at the next login (ends existing sessions)', input: userParamsSchema,
+    responses: { 200: json('Password change required at next login', messageAndEmail) },
+    errors: ['USER_NOT_FOUND']
+  },
+  {
+    method: 'get', path: '/api/auth/audit', operationId: 'auditLog', tag: 'Administration', access: 'admin',
+    summary: 'Query the audit log (newest first)', input: auditLogSchema,
+    responses: { 200: json('Audit events', successBody({ events: arrayOf(ref('AuditEvent')), count: integer() })) }
+  }
+];
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from POST /api/auth/login' }
+  },
+  schemas: {
+    Error: object({
+      success: { const: false },
+      message: string('Human readable; clients should branch on `error`'),
+      error: { enum: Object.keys(ErrorCodes), description: 'Stable error code' },
+      detail: string('Internal error message (development only)'),
+      errors: arrayOf(object({
+        location: { enum: ['params', 'query', 'body'], description: 'Missing when a service rejected the field' },
+        field: nullable('string'),
+        message: string(),
+        code: { enum: ['VALIDATION_ERROR', 'WEAK_PASSWORD'] }
+      }), 'Every invalid field (VALIDATION_ERROR, WEAK_PASSWORD)'),
+      violations: arrayOf(object({ rule: string(), message: string() }), 'Password policy violations (WEAK_PASSWORD)'),
+      locked: { const: true },
+      lockedUntil: dateTime('End of the lockout (ACCOUNT_LOCKED)'),
+      retryAfter: integer('Seconds to wait (ACCOUNT_LOCKED, RATE_LIMITED)'),
+      attemptsLeft: nullable('integer', 'Codes left for the challenge (INVALID_MFA_CODE)'),
+      emailVerified: { const: false },
+      timestamp: dateTime()
+    }, ['success', 'message', 'error']),
+    User: object({
+      id: uuid('Public user ID'),
+      email: string(),
+      email_verified: boolean(),
+      mfa_enabled: boolean(),
+      roles: arrayOf(string()),
+      created_at: dateTime(),
+      updated_at: dateTime()
+    }),
+    UserSummary: object({
+      id: uuid('Public user ID'),
+      email: string(),
+      roles: arrayOf(string()),
+      created_at: dateTime(),
+      updated_at: dateTime()
+    }),
+    Role: object({
+      name: string(),
+      description: nullable('string'),
+      user_count: string('Users holding the role (BIGINT, as a string)')
+    }),
+    AuditEvent: object({
+      event_id: string('Event ID (BIGINT, as a string)'),
+      event_type: string(),
+      outcome: { enum: ['success', 'failure'] },
+      actor: nullable('string', 'Authenticated caller'),
+      target_user_id: nullable('integer'),
+      target_email: nullable('string'),
+      ip: nullable('string'),
+      user_agent: nullable('string'),
+      request_id: nullable('string', 'X-Request-Id of the HTTP request'),
+      route: nullable('string', 'Method and route pattern of the HTTP request'),
+      details: nullable('object'),
+      created_at: dateTime()
+    }),
+    PasswordPolicy: object({
+      minLength: integer(),
+      maxLength: integer(),
+      requireLowercase: boolean(),
+      requireUppercase: boolean(),
+      requireDigit: boolean(),
+      requireSymbol: boolean(),
+      disallowEmail: boolean(),
+      disallowCommon: boolean(),
+      minEntropyBits: integer()
+    }),
+    Readiness: object({
+      status: { enum: ['OK', 'UNAVAILABLE'] },
+      timestamp: dateTime(),
+      uptime: { type: 'number' },
+      checks: {
+        type: 'object',
+        description: 'Outcome of each check: shutdown, database, grants, migrations (details are logged by the server)',
+        additionalProperties: object({ status: { enum: ['pass', 'fail'] } })
+      }
+    })
+  }
+};
+
+/**
+ * OpenAPI operation object
+ * @param {Object} operation - Entry of `operations`
+ * @returns {Object} Operation object
+ */
+const buildOperation = (operation) => {
+  const access = ACCESS[operation.access];
+  const input = operation.input || {};
+  const errorCodes = [
+    ...(operation.input ? ['VALIDATION_ERROR'] : []),
+    ...(input.body ? ['PAYLOAD_TOO_LARGE'] : []),
+    ...access.errors,
+    ...(operation.errors || []),
+    ...(operation.rateLimited ? ['RATE_LIMITED'] : []),
+    'INTERNAL_ERROR'
+  ];
+
+  const responses = { ...errorResponses(errorCodes), ...operation.responses };
+  Object.entries(responses).forEach(([status, response]) => {
+    responses[status] = { ...response, headers: { ...requestIdHeader, ...(operation.rateLimited ? rateLimitHeaders : {}) } };
+  });
+
+  const parameters = parametersOf(input);
+
+  return compact({
+    operationId: operation.operationId,
+    tags: [operation.tag],
+    summary: operation.summary,
+    description: [operation.description, operation.access === 'admin' ? 'Requires the `admin` role.' : undefined].filter(Boolean).join(' ') || undefined,
+    security: access.security,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody: input.body ? { required: true, content: { 'application/json': { schema: bodySchema(input.body) } } } : undefined,
+    responses: Object.fromEntries(Object.entries(responses).sort(([a], [b]) => Number(a) - Number(b)))
+  });
+};
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export const buildOpenApiDocument = () => {
+  const paths = {};
+  operations.forEach((operation) => {
+    paths[operation.path] = { ...paths[operation.path], [operation.method]: buildOperation(operation) };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'PostgreSQL Authentication API',
+      version: '1.0.0',
+      description: 'Authentication API backed by PostgreSQL SECURITY DEFINER functions. ' +
+        'Failed requests return `{ success: false, message, error }` where `error` is a stable code.'
+    },
+    tags: [...new Set(operations.map((operation) => operation.tag))].map((name) => ({ name })),
+    paths,
+    components
+  };
+};
+
+/**
+ * Endpoint index for GET / (operation ID to `METHOD /path`, Express path syntax)
+ * @returns {Object} Operation ID to endpoint map
+ */
+export const listEndpoints = () => Object.fromEntries(operations.map((operation) => [
+  operation.operationId,
+  `${operation.method.toUpperCase()} ${operation.path.replace(/\{(\w+)\}/g, ':$1')}`
+]));
@@ -0,0 +1,197 @@
+import { PASSWORD_CHANGE_SCOPE, TokenService } from '../services/tokenService.js';
+import { AuthService } from '../services/authService.js';
+import authConfig from '../config/auth.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { emailKey } from '../utils/email.js';
+
+/**
+ * Authentication middleware factory
+ * Resolves the caller from an `Authorization: Bearer <accessToken>` header and
+ * stores it on `req.user` as `{ id, email, roles, passwordChangeRequired }` (its
+ * email also becomes the audit log actor of the request). `roles` are the roles
+ * when the token was issued; authorization checks the current ones (see requireRole()). Responds with 401 when
+ * the token is missing, malformed, expired or has an invalid signature, and with
+ * 403 for password change tokens unless `allowPasswordChange` is set.
+ * @param {Object} options
+ * @param {boolean} options.allowPasswordChange - Accept tokens restricted to changing the password
+ * @returns {Function} Express middleware
+ */
+const authenticate = ({ allowPasswordChange }) => (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      error: 'AUTHENTICATION_REQUIRED'
+    });
+  }
+
+  const payload = TokenService.verifyAccessToken(token);
+
+  if (!payload) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired access token',
+      error: 'INVALID_TOKEN'
+    });
+  }
+
+  const passwordChangeRequired = payload.scope === PASSWORD_CHANGE_SCOPE;
+
+  if (passwordChangeRequired && !allowPasswordChange) {
+    return res.status(403).json({
+      success: false,
+      message: 'Password must be changed before continuing',
+      error: 'PASSWORD_CHANGE_REQUIRED'
+    });
+  }
+
+  req.user = {
+    id: payload.sub, // Public user ID
+    email: payload.email,
+    roles: payload.roles || [],
+    passwordChangeRequired
+  };
+
+  // Recorded as the actor of audit log events
+  const context = getRequestContext();
+  if (context) {
+    context.actor = req.user.email;
+  }
+
+  next();
+};
+
+/**
+ * Authentication middleware for regular routes (see authenticate())
+ */
+export const requireAuth = authenticate({ allowPasswordChange: false });
+
+/**
+ * Authentication middleware for the change-password route, also accepting the
+ * restricted token login issues while the password must be changed
+ */
+export const requireAuthForPasswordChange = authenticate({ allowPasswordChange: true });
+
+// Account of the authenticated caller, looked up at most once per request
+const callerAccounts = new WeakMap();
+
+/**
+ * Look up the current account of the authenticated caller (get_user_details())
+ * @param {Request} req - Express request object
+ * @returns {Promise<Object|null>} Account, or null when the token's account no longer
+ * exists (or its email address now belongs to another account)
+ */
+const callerAccount = (req) => {
+  if (!callerAccounts.has(req)) {
+    callerAccounts.set(req, AuthService.getUserDetails(req.user.email).then((result) => {
+      if (!result.success && result.error !== 'USER_NOT_FOUND') {
+        throw new Error(result.message);
+      }
+      return result.success && result.user.id === req.user.id ? result.user : null;
+    }));
+  }
+  return callerAccounts.get(req);
+};
+
+/**
+ * Check whether the authenticated caller currently holds at least one of the given roles.
+ * Roles are read from the database rather than the token, so that revoking a role takes
+ * effect before the caller's tokens expire.
+ * @param {Request} req - Express request object
+ * @param {string[]} roles - Accepted role names
+ * @returns {Promise<boolean>} True if the caller holds one of the roles
+ */
+const hasAnyRole = async (req, roles) => {
+  if (!req.user || roles.length === 0) {
+    return false;
+  }
+  const account = await callerAccount(req);
+  return Boolean(account) && roles.some((role) => account.roles.includes(role));
+};
+
+/**
+ * Authorization middleware factory restricting a route to callers holding a role.
+ * Must run after `requireAuth`. Responds with 403 when the caller holds none of the roles.
+ * @param {...string} roles - Accepted role names
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (!await hasAnyRole(req, roles)) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires role: ${roles.join(' or ')}`,
+        error: 'FORBIDDEN'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authorization middleware factory restricting a route to the caller's own account.
+ * Must run after `requireAuth`. Responds with 403 when the targeted account is not
+ * the authenticated caller and the caller holds none of `options.allowRoles`.
+ * @param {Function} getTargetEmail - Extracts the targeted account's email from the request
+ * @param {Object} [options]
+ * @param {string[]} [options.allowRoles] - Roles allowed to act on any account
+ * @returns {Function} Express middleware
+ */
+export const requireOwnAccount = (getTargetEmail, { allowRoles = [] } = {}) => async (req, res, next) => {
+  const targetEmail = getTargetEmail(req);
+  const ownAccount = Boolean(req.user) && typeof targetEmail === 'string' && emailKey(targetEmail) === emailKey(req.user.email);
+
+  try {
+    if (!ownAccount && !await hasAnyRole(req, allowRoles)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only access your own account',
+        error: 'FORBIDDEN'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authorization middleware blocking callers whose email address is not verified.
+ * Must run after `requireAuth`. Only enforced when EMAIL_VERIFICATION_POLICY is
+ * 'sensitive' or 'login'. Responds with 403 while the address is unverified.
+ * Callers holding a password change token pass: that token is only accepted for
+ * changing the password, which they cannot otherwise get past.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (authConfig.emailVerificationPolicy === 'off' || req.user.passwordChangeRequired) {
+    return next();
+  }
+
+  try {
+    const account = await callerAccount(req);
+
+    if (!account || !account.email_verified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email address must be verified first',
+        error: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,23 +1,29 @@
+import { errorResult, internalErrorResult, sendError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
 /**
  * Global error handling middleware
+ * Malformed request bodies are reported as VALIDATION_ERROR and oversized ones as
+ * PAYLOAD_TOO_LARGE; anything else is an INTERNAL_ERROR whose message is only
+ * exposed in development.
  * @param {Error} error - The error object
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {Function} next - Express next function
  */
 export const errorHandler = (error, req, res, next) => {
-  console.error('Global error handler:', error);
-  
-  // Log error details in development
-  if (process.env.NODE_ENV === 'development') {
-    console.error('Error stack:', error.stack);
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, errorResult('VALIDATION_ERROR', 'Malformed request body'));
+  }
+
+  if (error.type === 'entity.too.large') {
+    return sendError(res, errorResult('PAYLOAD_TOO_LARGE'));
   }
-  
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
-  });
+
+  // The request body is never logged (it may hold credentials)
+  logger.error('Unhandled error', { err: error, method: req.method, path: req.path });
+
+  sendError(res, internalErrorResult(error));
 };
 
 /**
@@ -26,8 +32,5 @@ export const errorHandler = (error, req, res, next) => {
  * @param {Response} res - Express response object
  */
 export const notFoundHandler = (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `Route ${req.originalUrl} not found`
-  });
+  sendError(res, errorResult('NOT_FOUND', `Route ${req.originalUrl} not found`));
 };
@@ -0,0 +1,26 @@
+import { httpRequestDuration, httpRequestsTotal } from '../utils/metrics.js';
+
+/**
+ * HTTP metrics middleware
+ * Counts requests and records their latency by method, route pattern (e.g.
+ * `/api/auth/user/:email`, keeping label values bounded) and status code.
+ * Requests that matched no route are labelled `unmatched`.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const httpMetrics = (req, res, next) => {
+  const observe = httpRequestDuration.startTimer();
+
+  res.once('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+    httpRequestsTotal.inc(labels);
+    observe(labels);
+  });
+
+  next();
+};
@@ -0,0 +1,100 @@
+import rateLimitConfig from '../config/rateLimit.js';
+import { createRateLimitStore } from '../services/rateLimitStore.js';
+import { emailKey } from '../utils/email.js';
+import logger from '../utils/logger.js';
+
+let defaultStore;
+
+/**
+ * Get the store shared by all limiters (created on first use)
+ * @returns {Object} Rate limit store
+ */
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = createRateLimitStore(rateLimitConfig.store);
+  }
+  return defaultStore;
+};
+
+/**
+ * Evaluate one bucket with a sliding window estimate: hits in the previous window
+ * are weighted by how much of it still overlaps the sliding window.
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Bucket key
+ * @param {number} max - Maximum hits per window
+ * @param {number} windowSeconds - Window length in seconds
+ * @returns {Promise<Object>} Limit, remaining hits and seconds until reset
+ */
+const evaluate = async (store, key, max, windowSeconds) => {
+  const windowMs = windowSeconds * 1000;
+  const { current, previous, elapsedMs } = await store.hit(key, windowSeconds);
+  const estimated = Math.floor(previous * ((windowMs - elapsedMs) / windowMs)) + current;
+
+  return {
+    limit: max,
+    remaining: Math.max(0, max - estimated),
+    reset: Math.max(1, Math.ceil((windowMs - elapsedMs) / 1000)),
+    exceeded: estimated > max
+  };
+};
+
+/**
+ * Rate limiting middleware factory
+ * Counts requests per client IP and per targeted email (when present) and responds
+ * with 429 and a `Retry-After` header once either limit is exceeded. The most
+ * restrictive bucket is reported in the `RateLimit-Limit`, `RateLimit-Remaining`
+ * and `RateLimit-Reset` headers.
+ * @param {string} name - Route group name (key prefix)
+ * @param {Object} options
+ * @param {number} options.windowSeconds - Window length in seconds
+ * @param {number} options.ipMax - Maximum requests per IP per window
+ * @param {number} options.emailMax - Maximum requests per email per window
+ * @param {Function} [options.getEmail] - Extracts the targeted email from the request
+ * @param {Object} [options.store] - Store overriding the configured one
+ * @returns {Function} Express middleware
+ */
+export const rateLimit = (name, { windowSeconds, ipMax, emailMax, getEmail = (req) => req.body.email, store }) => async (req, res, next) => {
+  if (!rateLimitConfig.enabled) {
+    return next();
+  }
+
+  const limiterStore = store || getDefaultStore();
+  const buckets = [[`${name}:ip:${req.ip}`, ipMax]];
+  const email = getEmail(req);
+
+  if (typeof email === 'string' && email) {
+    buckets.push([`${name}:email:${emailKey(email)}`, emailMax]);
+  }
+
+  try {
+    const results = await Promise.all(
+      buckets.map(([key, max]) => evaluate(limiterStore, key, max, windowSeconds))
+    );
+    const exceeded = results.filter((result) => result.exceeded);
+    const reported = exceeded.length > 0
+      ? exceeded.reduce((a, b) => (a.reset >= b.reset ? a : b))
+      : results.reduce((a, b) => (a.remaining <= b.remaining ? a : b));
+
+    res.set({
+      'RateLimit-Limit': String(reported.limit),
+      'RateLimit-Remaining': String(reported.remaining),
+      'RateLimit-Reset': String(reported.reset)
+    });
+
+    if (exceeded.length > 0) {
+      res.set('Retry-After', String(reported.reset));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests, please try again later',
+        error: 'RATE_LIMITED',
+        retryAfter: reported.reset
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Fail open: an unavailable store must not take authentication down
+    logger.error('Rate limiter error', { err: error });
+    next();
+  }
+};
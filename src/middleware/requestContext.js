@@ -0,0 +1,45 @@
+import { randomUUID } from 'crypto';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+// Accepted incoming request IDs: short, printable and safe to write into logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Uses the caller's `X-Request-Id` when it is well formed, otherwise generates a
+ * UUID, stores it as `req.id` and echoes it in the `X-Request-Id` response header.
+ * Register it before the request logger so every log line can be correlated.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+/**
+ * Request context middleware
+ * Makes the request ID, route, client IP and user agent available to the rest of the
+ * request (see src/utils/requestContext.js); `requireAuth` adds the authenticated
+ * caller as `actor`. Must be registered after the body parsers, which do not preserve
+ * the context.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requestContext = (req, res, next) => {
+  runWithRequestContext({
+    requestId: req.id || null,
+    // Method and route pattern (e.g. `GET /api/auth/user/:email`, without the email),
+    // known once a route matched
+    get route() {
+      return req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : null;
+    },
+    ip: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    actor: null
+  }, next);
+};
@@ -1,18 +1,31 @@
+import logger from '../utils/logger.js';
+
 /**
  * Request logging middleware
- * Logs all incoming requests with timestamp and method
+ * Logs one line per request when its response has been sent: method, path,
+ * status, duration, client IP, user agent and request ID. Server errors are
+ * logged at `error` level and client errors at `warn`. The query string is left
+ * out since it may carry tokens (e.g. email verification links).
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {Function} next - Express next function
  */
 export const requestLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const path = req.path;
-  const userAgent = req.get('User-Agent') || 'Unknown';
-  const ip = req.ip || req.connection.remoteAddress;
-  
-  console.log(`${timestamp} - ${method} ${path} - IP: ${ip} - UA: ${userAgent}`);
-  
+  const started = process.hrtime.bigint();
+
+  res.once('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    logger[level]('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ip: req.ip || req.socket.remoteAddress,
+      userAgent: req.get('User-Agent') || null
+    });
+  });
+
   next();
 };
@@ -0,0 +1,48 @@
+import { validateFields, weakPasswordResult } from '../utils/validation.js';
+import { errorResult, sendError } from '../utils/errors.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Request validation middleware factory
+ * Validates `req.params`, `req.query` and `req.body` against a schema of field rules
+ * (see validateFields() in src/utils/validation.js) and responds with 400 listing every
+ * field error at once. Query and body fields missing from the schema are rejected, so
+ * a route without inputs should still use `validate({})`. Validated values (defaults
+ * applied, query integers converted) are written back to the request.
+ * Routes register it after authentication and before authorization checks
+ * (`requireRole`, `requireOwnAccount`, `requireVerifiedEmail`): a missing token is
+ * answered with 401, then a malformed request with 400, and only a well-formed one
+ * can be refused with 403.
+ * @param {Object} schema - `{ params, query, body }`, each a field name to rule map
+ * @returns {Function} Express middleware
+ */
+export const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    const data = req[location] === undefined ? {} : req[location];
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      errors.push({ location, field: null, message: `Request ${location} must be an object`, code: 'VALIDATION_ERROR' });
+      continue;
+    }
+
+    const result = validateFields(data, schema[location] || {}, { allowUnknown: location === 'params' });
+    errors.push(...result.errors.map((error) => ({ location, ...error })));
+
+    if (result.errors.length === 0) {
+      Object.assign(data, result.values);
+    }
+  }
+
+  if (errors.length > 0) {
+    // WEAK_PASSWORD (shaped like the services' one) when the password is the only problem
+    if (errors.every((error) => error.code === 'WEAK_PASSWORD')) {
+      return sendError(res, weakPasswordResult(errors));
+    }
+    return sendError(res, errorResult('VALIDATION_ERROR', 'Validation failed', { errors: errors.map(({ violations, ...error }) => error) }));
+  }
+
+  next();
+};
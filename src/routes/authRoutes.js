@@ -1,299 +1,706 @@
 import express from 'express';
 import { AuthService } from '../services/authService.js';
+import { TokenService } from '../services/tokenService.js';
+import { MfaService } from '../services/mfaService.js';
+import {
+  requireAuth,
+  requireAuthForPasswordChange,
+  requireOwnAccount,
+  requireRole,
+  requireVerifiedEmail
+} from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validate.js';
+import {
+  auditLogSchema,
+  changeEmailSchema,
+  changePasswordSchema,
+  createRoleSchema,
+  emailSchema,
+  grantRoleSchema,
+  loginMfaSchema,
+  loginSchema,
+  noInputSchema,
+  refreshTokenSchema,
+  resetPasswordSchema,
+  revokeRoleSchema,
+  signupSchema,
+  totpCodeSchema,
+  userParamsSchema,
+  verifyEmailBodySchema,
+  verifyEmailQuerySchema
+} from './schemas.js';
+import rateLimitConfig from '../config/rateLimit.js';
+import authConfig from '../config/auth.js';
+import { internalErrorResult, sendError } from '../utils/errors.js';
+import { describePasswordPolicy } from '../utils/passwordPolicy.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Rate limiters for credential endpoints (per IP and per targeted email)
+const { limits } = rateLimitConfig;
+const signupLimiter = rateLimit('signup', limits.signup);
+const loginLimiter = rateLimit('login', limits.login);
+const passwordChangeLimiter = rateLimit('password-change', limits.passwordChange);
+const emailChangeLimiter = rateLimit('email-change', { ...limits.emailChange, getEmail: (req) => req.body.oldEmail });
+const passwordResetLimiter = rateLimit('password-reset', limits.passwordReset);
+const verificationResendLimiter = rateLimit('verification-resend', limits.verificationResend);
+// Per IP for login challenges, per account once authenticated
+const mfaLimiter = rateLimit('mfa', { ...limits.mfa, getEmail: (req) => req.user && req.user.email });
+
+/**
+ * Finish a login whose credentials (and second factor) were verified
+ * Responds with the usual tokens, or with a "password_change_required" result and
+ * an access token only accepted by the change-password route while the password
+ * is expired or an administrator requires a change.
+ * @param {Response} res - Express response object
+ * @param {Object} result - Successful authentication result (with `email`)
+ */
+const sendLoginTokens = async (res, result) => {
+  const passwordStatus = await AuthService.getPasswordStatus(result.email);
+
+  if (!passwordStatus.success) {
+    return sendError(res, passwordStatus);
+  }
+
+  if (passwordStatus.changeRequired) {
+    return res.status(200).json({
+      success: true,
+      status: 'password_change_required',
+      message: passwordStatus.changeReason === 'expired' ? 'Password has expired and must be changed' : 'Password must be changed',
+      email: result.email,
+      reason: passwordStatus.changeReason,
+      ...TokenService.issuePasswordChangeToken(passwordStatus.id, result.email)
+    });
+  }
+
+  const tokens = await TokenService.issueTokens(result.email);
+
+  if (tokens.success) {
+    res.status(200).json({ ...result, ...tokens, passwordExpiresAt: passwordStatus.passwordExpiresAt });
+  } else {
+    sendError(res, tokens);
+  }
+};
+
 /**
  * @route POST /api/auth/signup
  * @desc Sign up a new user
  * @access Public
  */
-router.post('/signup', async (req, res) => {
+router.post('/signup', signupLimiter, validate(signupSchema), async (req, res) => {
   try {
     const { userId, email, password } = req.body;
+    const mode = authConfig.signupClientUserId;
 
-    // Validation
-    if (!userId || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: userId, email, password'
-      });
-    }
-
-    if (typeof userId !== 'number' || userId <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'userId must be a positive number'
-      });
-    }
-
-    if (typeof email !== 'string' || !email.includes('@')) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format'
-      });
-    }
+    // Client-supplied user IDs are deprecated; the server assigns IDs
+    if (userId !== undefined) {
+      res.set('Deprecation', 'true');
 
-    if (typeof password !== 'string' || password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
+      if (mode === 'reject') {
+        return res.status(400).json({
+          success: false,
+          message: 'userId is assigned by the server and must not be supplied',
+          error: 'VALIDATION_ERROR'
+        });
+      }
     }
 
-    const result = await AuthService.signup(userId, email, password);
+    const result = await AuthService.signup(email, password, {
+      userId: mode === 'allow' ? userId : undefined
+    });
     
     if (result.success) {
       res.status(201).json(result);
     } else {
-      res.status(400).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('Signup route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    logger.error('Signup route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
+/**
+ * @route GET /api/auth/password-policy
+ * @desc Password rules enforced on signup, password change and reset
+ * @access Public
+ */
+router.get('/password-policy', validate(noInputSchema), (req, res) => {
+  res.status(200).json({
+    success: true,
+    policy: describePasswordPolicy()
+  });
+});
+
 /**
  * @route POST /api/auth/login
  * @desc Authenticate a user
  * @access Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, validate(loginSchema), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
+    const result = await AuthService.authenticate(email, password);
+    
+    if (result.locked) {
+      res.set('Retry-After', String(result.retryAfter));
+      return sendError(res, result);
+    }
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    if (authConfig.emailVerificationPolicy === 'login' && !result.emailVerified) {
+      return res.status(403).json({
         success: false,
-        message: 'Missing required fields: email, password'
+        message: 'Email address must be verified before logging in',
+        error: 'EMAIL_NOT_VERIFIED',
+        emailVerified: false
       });
     }
 
-    const result = await AuthService.authenticate(email, password);
+    // Accounts with two-factor authentication get a challenge instead of tokens
+    if (result.mfaEnabled) {
+      const challenge = await MfaService.createChallenge(email);
+
+      if (!challenge.success) {
+        return sendError(res, challenge);
+      }
+
+      return res.status(200).json({
+        success: true,
+        status: 'mfa_required',
+        message: 'Two-factor authentication code required',
+        email,
+        mfaToken: challenge.mfaToken,
+        expiresIn: challenge.expiresIn
+      });
+    }
+
+    await sendLoginTokens(res, result);
+  } catch (error) {
+    logger.error('Login route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/login/mfa
+ * @desc Complete an "mfa_required" login with a TOTP code
+ * @access Public (requires the challenge token returned by login)
+ */
+router.post('/login/mfa', mfaLimiter, validate(loginMfaSchema), async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    const result = await MfaService.verifyChallenge(mfaToken, code);
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    await sendLoginTokens(res, result);
+  } catch (error) {
+    logger.error('MFA login route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/token/refresh
+ * @desc Exchange a refresh token for a new access/refresh token pair
+ * @access Public
+ */
+router.post('/token/refresh', validate(refreshTokenSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await TokenService.refresh(refreshToken);
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(401).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('Login route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    logger.error('Token refresh route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke a refresh token
+ * @access Public
+ */
+router.post('/logout', validate(refreshTokenSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await TokenService.revoke(refreshToken);
+    
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('Logout route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
 /**
  * @route GET /api/auth/user/:email
  * @desc Get user details
- * @access Public (for testing)
+ * @access Private (own account)
  */
-router.get('/user/:email', async (req, res) => {
+router.get('/user/:email', requireAuth, validate(userParamsSchema), requireOwnAccount((req) => req.params.email), async (req, res) => {
   try {
     const { email } = req.params;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email parameter is required'
-      });
-    }
 
     const result = await AuthService.getUserDetails(email);
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(404).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('Get user details route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    logger.error('Get user details route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
 /**
  * @route DELETE /api/auth/user/:email
  * @desc Delete a user
- * @access Public (for testing)
+ * @access Private (own account, or admin for any account)
  */
-router.delete('/user/:email', async (req, res) => {
+router.delete('/user/:email', requireAuth, validate(userParamsSchema), requireOwnAccount((req) => req.params.email, { allowRoles: ['admin'] }), requireVerifiedEmail, async (req, res) => {
   try {
     const { email } = req.params;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email parameter is required'
-      });
-    }
 
     const result = await AuthService.deleteUser(email);
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(400).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('Delete user route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    logger.error('Delete user route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
 /**
  * @route PUT /api/auth/user/password
  * @desc Change user password
- * @access Public (for testing)
+ * @access Private (own account; also accepts the token of a "password_change_required" login)
  */
-router.put('/user/password', async (req, res) => {
+router.put('/user/password', passwordChangeLimiter, requireAuthForPasswordChange, validate(changePasswordSchema), requireOwnAccount((req) => req.body.email), requireVerifiedEmail, async (req, res) => {
   try {
     const { email, oldPassword, newPassword } = req.body;
 
-    // Validation
-    if (!email || !oldPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: email, oldPassword, newPassword'
-      });
-    }
-
-    if (typeof newPassword !== 'string' || newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters long'
-      });
-    }
-
     const result = await AuthService.changePassword(email, oldPassword, newPassword);
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(400).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('Change password route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    logger.error('Change password route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
 /**
  * @route PUT /api/auth/user/email
  * @desc Change user email
- * @access Public (for testing)
+ * @access Private (own account)
  */
-router.put('/user/email', async (req, res) => {
+router.put('/user/email', emailChangeLimiter, requireAuth, validate(changeEmailSchema), requireOwnAccount((req) => req.body.oldEmail), requireVerifiedEmail, async (req, res) => {
   try {
     const { oldEmail, newEmail, password } = req.body;
 
-    // Validation
-    if (!oldEmail || !newEmail || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: oldEmail, newEmail, password'
-      });
+    const result = await AuthService.changeEmail(oldEmail, newEmail, password);
+    
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
     }
+  } catch (error) {
+    logger.error('Change email route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
 
-    if (typeof newEmail !== 'string' || !newEmail.includes('@')) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid new email format'
-      });
+/**
+ * @route POST /api/auth/password/forgot
+ * @desc Email a single-use password reset token
+ * @access Public
+ */
+router.post('/password/forgot', passwordResetLimiter, validate(emailSchema), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Always 202 so the response does not reveal whether the account exists
+    const result = await AuthService.requestPasswordReset(email);
+    res.status(202).json(result);
+  } catch (error) {
+    logger.error('Forgot password route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/password/reset
+ * @desc Set a new password with a reset token
+ * @access Public
+ */
+router.post('/password/reset', passwordResetLimiter, validate(resetPasswordSchema), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const result = await AuthService.resetPassword(token, newPassword);
+    
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
     }
+  } catch (error) {
+    logger.error('Reset password route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
 
-    const result = await AuthService.changeEmail(oldEmail, newEmail, password);
+/**
+ * Shared handler for GET and POST /verify-email
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {string} token - Verification token from the query string or body
+ */
+const handleVerifyEmail = async (req, res, token) => {
+  try {
+    const result = await AuthService.verifyEmail(token);
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(400).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('Change email route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
+    logger.error('Verify email route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+};
+
+/**
+ * @route GET /api/auth/verify-email?token=
+ * @desc Verify an email address (link sent by email)
+ * @access Public
+ */
+router.get('/verify-email', validate(verifyEmailQuerySchema), (req, res) => handleVerifyEmail(req, res, req.query.token));
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Verify an email address
+ * @access Public
+ */
+router.post('/verify-email', validate(verifyEmailBodySchema), (req, res) => handleVerifyEmail(req, res, req.body.token));
+
+/**
+ * @route POST /api/auth/verify-email/resend
+ * @desc Send a new verification email
+ * @access Public
+ */
+router.post('/verify-email/resend', verificationResendLimiter, validate(emailSchema), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Always 202 so the response does not reveal whether the account exists or is verified
+    await AuthService.sendEmailVerification(email);
+    res.status(202).json({
+      success: true,
+      message: 'If this email belongs to an unverified account, a verification link has been sent'
     });
+  } catch (error) {
+    logger.error('Resend verification route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/totp/enroll
+ * @desc Start TOTP enrollment (returns the secret and otpauth:// URI)
+ * @access Private
+ */
+router.post('/mfa/totp/enroll', requireAuth, validate(noInputSchema), async (req, res) => {
+  try {
+    const result = await MfaService.beginTotpEnrollment(req.user.email);
+
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('TOTP enroll route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/totp/confirm
+ * @desc Confirm TOTP enrollment with a first code
+ * @access Private
+ */
+router.post('/mfa/totp/confirm', requireAuth, mfaLimiter, validate(totpCodeSchema), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const result = await MfaService.confirmTotpEnrollment(req.user.email, code);
+
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('TOTP confirm route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/totp/disable
+ * @desc Disable TOTP (requires a current code)
+ * @access Private
+ */
+router.post('/mfa/totp/disable', requireAuth, mfaLimiter, validate(totpCodeSchema), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const result = await MfaService.disableTotp(req.user.email, code);
+
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('TOTP disable route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
 /**
  * @route GET /api/auth/users
  * @desc Get all users
- * @access Public (for testing)
+ * @access Admin
  */
-router.get('/users', async (req, res) => {
+router.get('/users', requireAuth, validate(noInputSchema), requireRole('admin'), async (req, res) => {
   try {
     const result = await AuthService.getAllUsers();
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(500).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('Get all users route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
+    logger.error('Get all users route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
 /**
  * @route GET /api/auth/user/:email/exists
  * @desc Check if user exists
- * @access Public (for testing)
+ * @access Admin
  */
-router.get('/user/:email/exists', async (req, res) => {
+router.get('/user/:email/exists', requireAuth, validate(userParamsSchema), requireRole('admin'), async (req, res) => {
   try {
     const { email } = req.params;
+
+    const result = await AuthService.userExists(email);
     
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email parameter is required'
-      });
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
     }
+  } catch (error) {
+    logger.error('User exists route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
 
-    const result = await AuthService.userExists(email);
+/**
+ * @route GET /api/auth/roles
+ * @desc Get all roles
+ * @access Admin
+ */
+router.get('/roles', requireAuth, validate(noInputSchema), requireRole('admin'), async (req, res) => {
+  try {
+    const result = await AuthService.getRoles();
+    
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('Get roles route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/roles
+ * @desc Create a custom role
+ * @access Admin
+ */
+router.post('/roles', requireAuth, validate(createRoleSchema), requireRole('admin'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const result = await AuthService.createRole(name, description);
+    
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('Create role route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/user/:email/roles
+ * @desc Grant a role to a user
+ * @access Admin
+ */
+router.post('/user/:email/roles', requireAuth, validate(grantRoleSchema), requireRole('admin'), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { role } = req.body;
+
+    const result = await AuthService.grantRole(email, role);
+    
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('Grant role route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route DELETE /api/auth/user/:email/roles/:role
+ * @desc Revoke a role from a user
+ * @access Admin
+ */
+router.delete('/user/:email/roles/:role', requireAuth, validate(revokeRoleSchema), requireRole('admin'), async (req, res) => {
+  try {
+    const { email, role } = req.params;
+
+    const result = await AuthService.revokeRole(email, role);
     
     if (result.success) {
       res.status(200).json(result);
     } else {
-      res.status(500).json(result);
+      sendError(res, result);
     }
   } catch (error) {
-    console.error('User exists route error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
+    logger.error('Revoke role route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/user/:email/unlock
+ * @desc Unlock an account locked by failed logins
+ * @access Admin
+ */
+router.post('/user/:email/unlock', requireAuth, validate(userParamsSchema), requireRole('admin'), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const result = await AuthService.unlockAccount(email);
+    
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('Unlock account route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route POST /api/auth/user/:email/require-password-change
+ * @desc Force a password change at the next login (ends existing sessions)
+ * @access Admin
+ */
+router.post('/user/:email/require-password-change', requireAuth, validate(userParamsSchema), requireRole('admin'), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const result = await AuthService.requirePasswordChange(email);
+    
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('Require password change route error', { err: error });
+    sendError(res, internalErrorResult(error));
+  }
+});
+
+/**
+ * @route GET /api/auth/audit?user=&event=&from=&to=&limit=&offset=
+ * @desc Query the audit log (newest first)
+ * @access Admin
+ */
+router.get('/audit', requireAuth, validate(auditLogSchema), requireRole('admin'), async (req, res) => {
+  try {
+    const { user, event, from, to, limit, offset } = req.query;
+
+    const result = await AuthService.getAuditLog({
+      user: user || null,
+      eventType: event || null,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      limit,
+      offset
     });
+
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      sendError(res, result);
+    }
+  } catch (error) {
+    logger.error('Audit log route error', { err: error });
+    sendError(res, internalErrorResult(error));
   }
 });
 
@@ -0,0 +1,28 @@
+import express from 'express';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { buildOpenApiDocument } from '../docs/openapi.js';
+
+const router = express.Router();
+
+// Neither changes while the server runs
+const openApiDocument = buildOpenApiDocument();
+const docsPage = fs.readFileSync(fileURLToPath(new URL('../docs/index.html', import.meta.url)), 'utf8');
+
+/**
+ * GET /openapi.json
+ * OpenAPI 3.1 document of the API (see src/docs/openapi.js)
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /docs
+ * Browsable documentation rendered from /openapi.json
+ */
+router.get('/docs', (req, res) => {
+  res.type('html').send(docsPage);
+});
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { HealthService } from '../services/healthService.js';
+import { internalErrorResult, sendError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Send the readiness result: 200 when every check passes, 503 otherwise
+ * The probe is public, so it only tells whether each check passes; the details
+ * (missing functions, pending migrations, errors) describe the deployment and are
+ * logged when a check fails.
+ * @param {Response} res - Express response object
+ */
+const sendReadiness = async (res) => {
+  try {
+    const { ready, checks } = await HealthService.readiness();
+    if (!ready) {
+      logger.warn('Readiness check failed', { checks });
+    }
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'OK' : 'UNAVAILABLE',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { status: check.status }]))
+    });
+  } catch (error) {
+    sendError(res, internalErrorResult(error));
+  }
+};
+
+/**
+ * GET /health/live
+ * Liveness probe: answers as long as the process can serve requests (no dependency checks)
+ */
+router.get('/live', (req, res) => {
+  res.json({
+    ...HealthService.liveness(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /health/ready
+ * Readiness probe: database reachable within the deadline, required functions and
+ * grants in place, migrations current and the server not shutting down
+ */
+router.get('/ready', (req, res) => sendReadiness(res));
+
+/**
+ * GET /health
+ * Same as /health/ready, kept for existing monitors
+ */
+router.get('/', (req, res) => sendReadiness(res));
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { CONTENT_TYPE, registry } from '../utils/metrics.js';
+import { errorResult, sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Compare the bearer token with METRICS_TOKEN in constant time
+ * @param {Request} req - Express request object
+ * @returns {boolean} True when no token is configured or the token matches
+ */
+const isAuthorizedScrape = (req) => {
+  if (!config.metrics.token) {
+    return true;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = crypto.createHash('sha256').update(config.metrics.token).digest();
+  const actual = crypto.createHash('sha256').update(token || '').digest();
+  return scheme === 'Bearer' && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * GET /metrics
+ * Prometheus metrics: HTTP requests, login attempts, SQL function latency and pool usage
+ */
+router.get('/', (req, res) => {
+  if (!isAuthorizedScrape(req)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, errorResult('AUTHENTICATION_REQUIRED'));
+  }
+
+  res.set('Content-Type', CONTENT_TYPE).send(registry.render());
+});
+
+export default router;
@@ -0,0 +1,105 @@
+import { normalizeEmail } from '../utils/email.js';
+
+/**
+ * Request schemas for the auth routes (see src/middleware/validate.js)
+ * New addresses must be well-formed emails; addresses identifying an existing
+ * account are only checked for type and length so that accounts created before
+ * stricter validation keep working. Both are normalized (see src/utils/email.js).
+ */
+
+const newEmail = { type: 'email', required: true, normalize: normalizeEmail };
+const accountEmail = { type: 'string', required: true, normalize: normalizeEmail };
+const currentPassword = { type: 'string', required: true };
+const newPassword = { type: 'password', required: true };
+// New password of the account identified by the `email` field
+const newAccountPassword = { ...newPassword, emailField: 'email' };
+const token = { type: 'string', required: true };
+const totpCode = { type: 'string', required: true, maxLength: 6, pattern: /^\d{6}$/, patternMessage: 'code must be 6 digits' };
+const roleName = { type: 'string', required: true, maxLength: 50 };
+
+export const noInputSchema = {};
+
+export const signupSchema = {
+  body: {
+    email: newEmail,
+    password: newAccountPassword,
+    userId: { type: 'userId' } // Deprecated, see SIGNUP_CLIENT_USER_ID
+  }
+};
+
+export const loginSchema = {
+  body: { email: accountEmail, password: currentPassword }
+};
+
+export const loginMfaSchema = {
+  body: { mfaToken: token, code: totpCode }
+};
+
+export const refreshTokenSchema = {
+  body: { refreshToken: token }
+};
+
+export const userParamsSchema = {
+  params: { email: accountEmail }
+};
+
+export const changePasswordSchema = {
+  body: { email: accountEmail, oldPassword: currentPassword, newPassword: newAccountPassword }
+};
+
+export const changeEmailSchema = {
+  body: { oldEmail: accountEmail, newEmail, password: currentPassword }
+};
+
+export const emailSchema = {
+  body: { email: accountEmail }
+};
+
+export const resetPasswordSchema = {
+  body: { token, newPassword }
+};
+
+export const verifyEmailQuerySchema = {
+  query: { token }
+};
+
+export const verifyEmailBodySchema = {
+  body: { token }
+};
+
+export const totpCodeSchema = {
+  body: { code: totpCode }
+};
+
+export const createRoleSchema = {
+  body: {
+    name: {
+      type: 'string',
+      required: true,
+      maxLength: 50,
+      pattern: /^[a-z][a-z0-9_-]{1,49}$/,
+      patternMessage: 'name must be 2-50 lowercase letters, digits, "_" or "-", starting with a letter'
+    },
+    description: { type: 'string' }
+  }
+};
+
+export const grantRoleSchema = {
+  params: { email: accountEmail },
+  body: { role: roleName }
+};
+
+export const revokeRoleSchema = {
+  params: { email: accountEmail, role: roleName }
+};
+
+export const auditLogSchema = {
+  query: {
+    user: { type: 'string', normalize: normalizeEmail },
+    event: { type: 'string', maxLength: 50 },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: 1000, default: 100 },
+    offset: { type: 'integer', min: 0, default: 0 }
+  }
+};
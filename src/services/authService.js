@@ -1,71 +1,125 @@
 import pool from '../config/database.js';
+import authConfig from '../config/auth.js';
+import { MailService } from './mailService.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { databaseErrorResult, errorResult } from '../utils/errors.js';
+import { validatePassword, weakPasswordResult } from '../utils/validation.js';
+import { authLoginAttempts } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Check a new password against the password policy
+ * @param {string} password - New password
+ * @param {string} email - Email of the account
+ * @param {string} field - Name of the password field, listed in the result's `errors`
+ * @returns {Object|null} WEAK_PASSWORD result listing the violations, or null when the password is acceptable
+ */
+const checkNewPassword = (password, email, field) => {
+  const { isValid, message, violations } = validatePassword(password, { email });
+  return isValid ? null : weakPasswordResult([{ field, message, violations }]);
+};
 
 export class AuthService {
   /**
    * Sign up a new user using PostgreSQL function
-   * @param {number} userId - User ID
+   * The user ID is assigned by the database unless a legacy client-supplied one is given.
    * @param {string} email - User email
    * @param {string} password - Raw password
-   * @returns {Promise<Object>} Result object
+   * @param {Object} [options]
+   * @param {number} [options.userId] - Deprecated client-supplied user ID
+   * @returns {Promise<Object>} Result object with the public user ID
    */
-  static async signup(userId, email, password) {
+  static async signup(email, password, { userId } = {}) {
     try {
-      const query = 'SELECT signup($1, $2, $3) as success';
-      const result = await pool.query(query, [userId, email, password]);
+      const weak = checkNewPassword(password, email, 'password');
+      if (weak) {
+        return weak;
+      }
+
+      let id;
+
+      if (userId === undefined) {
+        const result = await pool.query('SELECT signup($1, $2) as id', [email, password]);
+        id = result.rows[0].id;
+      } else {
+        const result = await pool.query('SELECT signup($1, $2, $3) as success', [userId, email, password]);
+        const details = result.rows[0].success ? await AuthService.getUserDetails(email) : null;
+        id = details && details.success ? details.user.id : null;
+      }
       
-      if (result.rows[0].success) {
+      if (id) {
+        const verification = await AuthService.sendEmailVerification(email);
         return {
           success: true,
           message: 'User signed up successfully',
-          userId,
-          email
+          id,
+          ...(userId === undefined ? {} : { userId }),
+          email,
+          emailVerificationSent: verification.sent
         };
       } else {
         return {
           success: false,
-          message: 'Signup failed'
+          message: 'Signup failed',
+          error: 'INTERNAL_ERROR'
         };
       }
     } catch (error) {
-      console.error('Signup error:', error.message);
-      return {
-        success: false,
-        message: error.message,
-        error: error.code
-      };
+      logger.error('Signup error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 
   /**
    * Authenticate a user using PostgreSQL function
+   * Locked accounts are reported with `locked: true` and `retryAfter` (seconds)
    * @param {string} email - User email
    * @param {string} password - Raw password
    * @returns {Promise<Object>} Result object
    */
   static async authenticate(email, password) {
     try {
-      const query = 'SELECT authenticate($1, $2) as success';
+      const query = 'SELECT * FROM authenticate_user($1, $2)';
       const result = await pool.query(query, [email, password]);
+      const {
+        status,
+        locked_until: lockedUntil,
+        retry_after_seconds: retryAfter,
+        email_verified: emailVerified,
+        mfa_enabled: mfaEnabled
+      } = result.rows[0];
       
-      if (result.rows[0].success) {
+      if (status === 'success') {
+        authLoginAttempts.inc({ result: 'success' });
         return {
           success: true,
           message: 'Authentication successful',
-          email
+          email,
+          emailVerified,
+          mfaEnabled
+        };
+      } else if (status === 'locked') {
+        authLoginAttempts.inc({ result: 'locked' });
+        return {
+          success: false,
+          locked: true,
+          message: 'Account is temporarily locked due to too many failed login attempts',
+          error: 'ACCOUNT_LOCKED',
+          lockedUntil,
+          retryAfter
         };
       } else {
+        authLoginAttempts.inc({ result: 'failure' });
         return {
           success: false,
-          message: 'Invalid credentials'
+          message: 'Invalid credentials',
+          error: 'INVALID_CREDENTIALS'
         };
       }
     } catch (error) {
-      console.error('Authentication error:', error.message);
-      return {
-        success: false,
-        message: error.message,
-        error: error.code
-      };
+      authLoginAttempts.inc({ result: 'error' });
+      logger.error('Authentication error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 
@@ -87,16 +141,13 @@ export class AuthService {
       } else {
         return {
           success: false,
-          message: 'User not found'
+          message: 'User not found',
+          error: 'USER_NOT_FOUND'
         };
       }
     } catch (error) {
-      console.error('Get user details error:', error.message);
-      return {
-        success: false,
-        message: error.message,
-        error: error.code
-      };
+      logger.error('Get user details error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 
@@ -119,16 +170,13 @@ export class AuthService {
       } else {
         return {
           success: false,
-          message: 'User deletion failed'
+          message: 'User deletion failed',
+          error: 'USER_NOT_FOUND'
         };
       }
     } catch (error) {
-      console.error('Delete user error:', error.message);
-      return {
-        success: false,
-        message: error.message,
-        error: error.code
-      };
+      logger.error('Delete user error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 
@@ -141,6 +189,11 @@ export class AuthService {
    */
   static async changePassword(email, oldPassword, newPassword) {
     try {
+      const weak = checkNewPassword(newPassword, email, 'newPassword');
+      if (weak) {
+        return weak;
+      }
+
       const query = 'SELECT change_password($1, $2, $3) as success';
       const result = await pool.query(query, [email, oldPassword, newPassword]);
       
@@ -153,16 +206,13 @@ export class AuthService {
       } else {
         return {
           success: false,
-          message: 'Password change failed'
+          message: 'Invalid old password',
+          error: 'INVALID_CREDENTIALS'
         };
       }
     } catch (error) {
-      console.error('Change password error:', error.message);
-      return {
-        success: false,
-        message: error.message,
-        error: error.code
-      };
+      logger.error('Change password error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 
@@ -179,25 +229,24 @@ export class AuthService {
       const result = await pool.query(query, [oldEmail, newEmail, password]);
       
       if (result.rows[0].success) {
+        const verification = await AuthService.sendEmailVerification(newEmail);
         return {
           success: true,
           message: 'Email changed successfully',
           oldEmail,
-          newEmail
+          newEmail,
+          emailVerificationSent: verification.sent
         };
       } else {
         return {
           success: false,
-          message: 'Email change failed'
+          message: 'Invalid password',
+          error: 'INVALID_CREDENTIALS'
         };
       }
     } catch (error) {
-      console.error('Change email error:', error.message);
-      return {
-        success: false,
-        message: error.message,
-        error: error.code
-      };
+      logger.error('Change email error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 
@@ -216,12 +265,8 @@ export class AuthService {
         count: result.rows.length
       };
     } catch (error) {
-      console.error('Get all users error:', error.message);
-      return {
-        success: false,
-        message: error.message,
-        error: error.code
-      };
+      logger.error('Get all users error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 
@@ -241,12 +286,394 @@ export class AuthService {
         email
       };
     } catch (error) {
-      console.error('User exists check error:', error.message);
+      logger.error('User exists check error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Create a custom role using PostgreSQL function
+   * @param {string} name - Role name
+   * @param {string} description - Role description
+   * @returns {Promise<Object>} Result object
+   */
+  static async createRole(name, description) {
+    try {
+      const query = 'SELECT create_role($1, $2) as success';
+      const result = await pool.query(query, [name, description || null]);
+      
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Role created successfully',
+          role: name
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Role creation failed',
+          error: 'INTERNAL_ERROR'
+        };
+      }
+    } catch (error) {
+      logger.error('Create role error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Get all roles using PostgreSQL function
+   * @returns {Promise<Object>} Result object
+   */
+  static async getRoles() {
+    try {
+      const query = 'SELECT * FROM get_roles()';
+      const result = await pool.query(query);
+      
       return {
-        success: false,
-        message: error.message,
-        error: error.code
+        success: true,
+        roles: result.rows,
+        count: result.rows.length
       };
+    } catch (error) {
+      logger.error('Get roles error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Grant a role to a user using PostgreSQL function
+   * @param {string} email - User email
+   * @param {string} role - Role name
+   * @returns {Promise<Object>} Result object
+   */
+  static async grantRole(email, role) {
+    try {
+      const query = 'SELECT grant_role($1, $2) as success';
+      const result = await pool.query(query, [email, role]);
+      
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Role granted successfully',
+          email,
+          role
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Role grant failed',
+          error: 'INTERNAL_ERROR'
+        };
+      }
+    } catch (error) {
+      logger.error('Grant role error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Revoke a role from a user using PostgreSQL function
+   * @param {string} email - User email
+   * @param {string} role - Role name
+   * @returns {Promise<Object>} Result object
+   */
+  static async revokeRole(email, role) {
+    try {
+      const query = 'SELECT revoke_role($1, $2) as success';
+      const result = await pool.query(query, [email, role]);
+      
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Role revoked successfully',
+          email,
+          role
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Role revocation failed',
+          error: 'INTERNAL_ERROR'
+        };
+      }
+    } catch (error) {
+      logger.error('Revoke role error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Unlock an account locked by failed logins using PostgreSQL function
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object
+   */
+  static async unlockAccount(email) {
+    try {
+      const query = 'SELECT unlock_account($1) as success';
+      const result = await pool.query(query, [email]);
+      
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Account unlocked successfully',
+          email
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Account unlock failed',
+          error: 'INTERNAL_ERROR'
+        };
+      }
+    } catch (error) {
+      logger.error('Unlock account error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Get the password status of an account using PostgreSQL function
+   * `changeReason` is 'required' (flagged by an administrator), 'expired'
+   * (older than auth.password_max_age_days) or null.
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object
+   */
+  static async getPasswordStatus(email) {
+    try {
+      const query = 'SELECT * FROM get_password_status($1)';
+      const result = await pool.query(query, [email]);
+      
+      if (result.rows.length > 0) {
+        const {
+          id,
+          password_changed_at: passwordChangedAt,
+          password_expires_at: passwordExpiresAt,
+          change_reason: changeReason
+        } = result.rows[0];
+
+        return {
+          success: true,
+          id,
+          email,
+          passwordChangedAt,
+          passwordExpiresAt,
+          changeRequired: changeReason !== null,
+          changeReason
+        };
+      } else {
+        return {
+          success: false,
+          message: 'User not found',
+          error: 'USER_NOT_FOUND'
+        };
+      }
+    } catch (error) {
+      logger.error('Get password status error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Force a password change at the next login using PostgreSQL function
+   * Existing sessions (refresh tokens) of the account are revoked.
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object
+   */
+  static async requirePasswordChange(email) {
+    try {
+      const query = 'SELECT require_password_change($1) as success';
+      const result = await pool.query(query, [email]);
+      
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Password change required at next login',
+          email
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Failed to require a password change',
+          error: 'INTERNAL_ERROR'
+        };
+      }
+    } catch (error) {
+      logger.error('Require password change error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Query the audit log using PostgreSQL function (newest events first)
+   * @param {Object} filters
+   * @param {string} [filters.user] - Email of the target account or actor
+   * @param {string} [filters.eventType] - Event type (e.g. 'login')
+   * @param {string} [filters.from] - ISO 8601 lower bound (inclusive)
+   * @param {string} [filters.to] - ISO 8601 upper bound (exclusive)
+   * @param {number} [filters.limit] - Maximum number of events
+   * @param {number} [filters.offset] - Number of events to skip
+   * @returns {Promise<Object>} Result object
+   */
+  static async getAuditLog({ user = null, eventType = null, from = null, to = null, limit = 100, offset = 0 } = {}) {
+    try {
+      const query = 'SELECT * FROM get_audit_log($1, $2, $3, $4, $5, $6)';
+      const result = await pool.query(query, [user, eventType, from, to, limit, offset]);
+
+      return {
+        success: true,
+        events: result.rows,
+        count: result.rows.length
+      };
+    } catch (error) {
+      logger.error('Get audit log error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Start the password reset flow: store a single-use reset token and email it
+   * The result is identical whether or not the account exists
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object
+   */
+  static async requestPasswordReset(email) {
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    try {
+      const { token, tokenHash } = generateToken();
+      const query = 'SELECT create_password_reset_token($1, $2, $3) as created';
+      const result = await pool.query(query, [email, tokenHash, authConfig.passwordResetTokenTtl]);
+
+      if (result.rows[0].created) {
+        const link = `${authConfig.appBaseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+        const minutes = Math.round(authConfig.passwordResetTokenTtl / 60);
+        await MailService.send(
+          email,
+          'Reset your password',
+          `A password reset was requested for your account.\n\n` +
+          `Reset token: ${token}\n` +
+          `Or open: ${link}\n\n` +
+          `The token expires in ${minutes} minutes and can be used once. ` +
+          'If you did not request a reset, you can ignore this email.'
+        );
+      }
+
+      return response;
+    } catch (error) {
+      logger.error('Password reset request error', { err: error });
+      return response;
+    }
+  }
+
+  /**
+   * Set a new password with a reset token using PostgreSQL function
+   * The token is only consumed once the new password passes the password policy
+   * and the password history check.
+   * @param {string} token - Raw reset token
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Result object
+   */
+  static async resetPassword(token, newPassword) {
+    try {
+      const tokenHash = hashToken(token);
+      const lookup = await pool.query('SELECT get_password_reset_email($1) as email', [tokenHash]);
+      const accountEmail = lookup.rows[0].email;
+
+      if (accountEmail) {
+        const weak = checkNewPassword(newPassword, accountEmail, 'newPassword');
+        if (weak) {
+          return weak;
+        }
+      }
+
+      const query = 'SELECT reset_password($1, $2) as email';
+      const result = await pool.query(query, [tokenHash, newPassword]);
+      const { email } = result.rows[0];
+      
+      if (email) {
+        return {
+          success: true,
+          message: 'Password reset successfully',
+          email
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Invalid or expired reset token',
+          error: 'INVALID_TOKEN'
+        };
+      }
+    } catch (error) {
+      logger.error('Reset password error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Issue an email verification token and email it
+   * Nothing is sent for unknown or already verified addresses
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object with `sent`
+   */
+  static async sendEmailVerification(email) {
+    try {
+      const { token, tokenHash } = generateToken();
+      const query = 'SELECT create_email_verification_token($1, $2, $3) as created';
+      const result = await pool.query(query, [email, tokenHash, authConfig.emailVerificationTokenTtl]);
+
+      if (!result.rows[0].created) {
+        return { success: true, sent: false };
+      }
+
+      const link = `${authConfig.appBaseUrl}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+      const hours = Math.round(authConfig.emailVerificationTokenTtl / 3600);
+      await MailService.send(
+        email,
+        'Verify your email address',
+        'Please confirm that this is your email address.\n\n' +
+        `Verification token: ${token}\n` +
+        `Or open: ${link}\n\n` +
+        `The token expires in ${hours} hours.`
+      );
+
+      return { success: true, sent: true };
+    } catch (error) {
+      logger.error('Send email verification error', { err: error });
+      return { ...databaseErrorResult(error), sent: false };
+    }
+  }
+
+  /**
+   * Verify an email address with a verification token using PostgreSQL function
+   * @param {string} token - Raw verification token
+   * @returns {Promise<Object>} Result object
+   */
+  static async verifyEmail(token) {
+    try {
+      const query = 'SELECT verify_email($1) as email';
+      const result = await pool.query(query, [hashToken(token)]);
+      const { email } = result.rows[0];
+      
+      if (email) {
+        return {
+          success: true,
+          message: 'Email verified successfully',
+          email
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Invalid or expired verification token',
+          error: 'INVALID_TOKEN'
+        };
+      }
+    } catch (error) {
+      logger.error('Verify email error', { err: error });
+      return databaseErrorResult(error);
     }
   }
 }
@@ -0,0 +1,201 @@
+import pool from '../config/database.js';
+import config from '../config/index.js';
+import { loadMigrations } from './migrationService.js';
+import { exposeErrorDetails } from '../utils/errors.js';
+import { isShuttingDown } from '../utils/shutdown.js';
+
+// Functions the API executes as authuser; keep in line with the GRANTs in migrations/
+export const REQUIRED_FUNCTIONS = [
+  'signup', 'authenticate_user', 'user_exists', 'get_user_details', 'get_all_users', 'delete_user',
+  'change_password', 'change_email', 'get_password_status', 'require_password_change',
+  'create_refresh_token', 'rotate_refresh_token', 'revoke_refresh_token',
+  'create_password_reset_token', 'get_password_reset_email', 'reset_password',
+  'create_email_verification_token', 'verify_email',
+  'begin_totp_enrollment', 'confirm_totp_enrollment', 'disable_totp', 'get_totp_secret',
+  'create_mfa_challenge', 'get_mfa_challenge', 'complete_mfa_challenge', 'fail_mfa_challenge',
+  'get_roles', 'create_role', 'grant_role', 'revoke_role', 'unlock_account',
+  'get_audit_log', 'rate_limit_hit', 'get_applied_migrations'
+];
+
+/**
+ * Error of a check that may always be shown (timeouts, missing objects)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const checkError = (message) => Object.assign(new Error(message), { expose: true });
+
+/**
+ * Reject when a promise does not settle in time
+ * @param {Promise} promise - Operation
+ * @param {number} ms - Deadline in milliseconds
+ * @param {string} what - Operation name used in the error
+ * @returns {Promise} Result of the operation
+ */
+const withDeadline = (promise, ms, what) => {
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(checkError(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run one check, timing it and turning failures into a failed result
+ * @param {Function} fn - Check returning extra result fields
+ * @returns {Promise<Object>} `{ status: 'pass'|'fail', durationMs, ... }`
+ */
+const runCheck = async (fn) => {
+  const started = Date.now();
+  try {
+    const details = await fn();
+    return { status: 'pass', durationMs: Date.now() - started, ...details };
+  } catch (error) {
+    return {
+      status: 'fail',
+      durationMs: Date.now() - started,
+      ...error.details,
+      error: error.expose || exposeErrorDetails() ? error.message : 'Check failed'
+    };
+  }
+};
+
+// Migration files do not change while the server runs: load them once per directory
+const migrationFiles = new Map();
+
+/**
+ * Migrations on disk (cached)
+ * @param {string} directory - Migrations directory
+ * @returns {Promise<Array>} Migrations
+ */
+const cachedMigrations = (directory) => {
+  if (!migrationFiles.has(directory)) {
+    migrationFiles.set(directory, loadMigrations(directory).catch((error) => {
+      migrationFiles.delete(directory);
+      throw error;
+    }));
+  }
+  return migrationFiles.get(directory);
+};
+
+export class HealthService {
+  /**
+   * Liveness: the process is running and its event loop responds
+   * @returns {Object} Liveness result
+   */
+  static liveness() {
+    return { status: 'OK', uptime: process.uptime() };
+  }
+
+  /**
+   * Readiness: the server is not draining, a database client can be checked out
+   * within the deadline, the required functions exist and are executable (and
+   * tables are not directly accessible), and all migrations are applied
+   * @returns {Promise<Object>} `{ ready, checks }` with one result per check
+   */
+  static async readiness() {
+    const timeoutMs = config.health.timeoutMs;
+
+    if (isShuttingDown()) {
+      return { ready: false, checks: { shutdown: { status: 'fail', error: 'Server is shutting down' } } };
+    }
+
+    const checks = { shutdown: { status: 'pass' } };
+
+    let client;
+    checks.database = await runCheck(async () => {
+      const connecting = pool.connect();
+      let connected;
+      try {
+        connected = await withDeadline(connecting, timeoutMs, 'Connection checkout');
+      } catch (error) {
+        // Give back the client should it arrive after the deadline
+        connecting.then((late) => late.release(), () => {});
+        throw error;
+      }
+
+      try {
+        await withDeadline(connected.query('SELECT 1'), timeoutMs, 'Query');
+      } catch (error) {
+        connected.release(true);
+        throw error;
+      }
+
+      client = connected;
+      return {};
+    });
+
+    if (!client) {
+      const skipped = { status: 'fail', error: 'Database unavailable' };
+      return { ready: false, checks: { ...checks, grants: skipped, migrations: skipped } };
+    }
+
+    let failedQuery = false;
+    const query = (text, values) => withDeadline(client.query(text, values), timeoutMs, 'Query').catch((error) => {
+      failedQuery = true;
+      throw error;
+    });
+
+    try {
+      checks.grants = await runCheck(async () => {
+        const functions = await query(
+          `SELECT p.proname AS name, bool_and(has_function_privilege(p.oid, 'EXECUTE')) AS executable
+           FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+           WHERE n.nspname = 'public' AND p.proname = ANY($1)
+           GROUP BY p.proname`,
+          [REQUIRED_FUNCTIONS]
+        );
+        const tables = await query(
+          `SELECT c.relname AS name
+           FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+           WHERE n.nspname = 'public' AND c.relkind IN ('r', 'p')
+             AND has_table_privilege(c.oid, 'SELECT, INSERT, UPDATE, DELETE, TRUNCATE')
+           ORDER BY c.relname`
+        );
+
+        const found = new Map(functions.rows.map((row) => [row.name, row.executable]));
+        const details = {
+          functions: REQUIRED_FUNCTIONS.length,
+          missing: REQUIRED_FUNCTIONS.filter((name) => !found.has(name)),
+          notExecutable: REQUIRED_FUNCTIONS.filter((name) => found.get(name) === false),
+          directTableAccess: tables.rows.map((row) => row.name)
+        };
+
+        if (details.missing.length > 0 || details.notExecutable.length > 0 || details.directTableAccess.length > 0) {
+          throw Object.assign(checkError('Functions missing or grants not as expected'), { details });
+        }
+        return details;
+      });
+
+      checks.migrations = await runCheck(async () => {
+        const files = await cachedMigrations(config.migrations.directory);
+
+        const applied = await query('SELECT version, checksum FROM get_applied_migrations()').catch((error) => {
+          // 42883: undefined_function (migration 0003 not applied yet)
+          throw error.code === '42883' ? checkError('get_applied_migrations() does not exist; run the migrations') : error;
+        });
+
+        const appliedChecksums = new Map(applied.rows.map((row) => [Number(row.version), row.checksum]));
+        const details = {
+          latest: applied.rows.length > 0 ? applied.rows[applied.rows.length - 1].version : null,
+          pending: files.filter((file) => !appliedChecksums.has(Number(file.version))).map((file) => file.version),
+          modified: files
+            .filter((file) => appliedChecksums.has(Number(file.version)) && appliedChecksums.get(Number(file.version)) !== file.checksum)
+            .map((file) => file.version)
+        };
+
+        if (details.pending.length > 0 || details.modified.length > 0) {
+          throw Object.assign(checkError('Migrations are not current'), { details });
+        }
+        return details;
+      });
+    } finally {
+      // A client whose query failed or timed out may still be busy; discard it
+      client.release(failedQuery);
+    }
+
+    return {
+      ready: Object.values(checks).every((check) => check.status === 'pass'),
+      checks
+    };
+  }
+}
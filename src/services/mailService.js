@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mailConfig from '../config/mail.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Mail transports deliver `{ from, to, subject, text }` messages.
+ * Any object with an async `send(message)` method can be plugged in with
+ * MailService.setTransport() (e.g. an SMTP client in production).
+ */
+
+// Token values in message text ("Reset token: ...", "?token=...")
+const TOKEN_VALUE = /(token(?::\s*|=))[^\s&]+/gi;
+
+/**
+ * Transport writing messages to the log (local development)
+ * Tokens in the text are redacted, since the log is not a safe place for
+ * credentials; use the file transport to follow the links.
+ */
+export class ConsoleMailTransport {
+  async send(message) {
+    logger.info('Mail (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text.replace(TOKEN_VALUE, '$1[REDACTED]')
+    });
+  }
+}
+
+/**
+ * Transport writing each message to a JSON file (local development and tests)
+ */
+export class FileMailTransport {
+  /**
+   * @param {string} dir - Directory the messages are written to
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+  }
+}
+
+/**
+ * Create the transport selected by configuration
+ * @param {string} type - 'console' or 'file'
+ * @returns {Object} Mail transport
+ */
+const createTransport = (type) => {
+  if (type === 'file') {
+    return new FileMailTransport(mailConfig.fileDir);
+  }
+  if (type !== 'console') {
+    throw new Error(`Unknown mail transport: ${type}`);
+  }
+  return new ConsoleMailTransport();
+};
+
+let transport;
+
+export class MailService {
+  /**
+   * Replace the mail transport
+   * @param {Object} newTransport - Object with an async send(message) method
+   */
+  static setTransport(newTransport) {
+    transport = newTransport;
+  }
+
+  /**
+   * Send an email through the configured transport
+   * @param {string} to - Recipient address
+   * @param {string} subject - Subject line
+   * @param {string} text - Plain text body
+   * @returns {Promise<void>}
+   */
+  static async send(to, subject, text) {
+    if (!transport) {
+      transport = createTransport(mailConfig.transport);
+    }
+    await transport.send({ from: mailConfig.from, to, subject, text });
+  }
+}
@@ -0,0 +1,224 @@
+import pool from '../config/database.js';
+import mfaConfig from '../config/mfa.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { encryptSecret, decryptSecret } from '../utils/encryption.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotpCode } from '../utils/totp.js';
+import { databaseErrorResult } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Ensure an encryption key is configured before storing or reading TOTP secrets
+ * @returns {string} The MFA encryption key
+ */
+const getEncryptionKey = () => {
+  if (!mfaConfig.encryptionKey) {
+    throw new Error('MFA_ENCRYPTION_KEY is not configured');
+  }
+  return mfaConfig.encryptionKey;
+};
+
+export class MfaService {
+  /**
+   * Start TOTP enrollment: generate a secret and store it (encrypted) as pending
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object with the secret and otpauth URI
+   */
+  static async beginTotpEnrollment(email) {
+    try {
+      const secret = generateTotpSecret();
+      const query = 'SELECT begin_totp_enrollment($1, $2) as success';
+      const result = await pool.query(query, [email, encryptSecret(secret, getEncryptionKey())]);
+
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Scan the URI with an authenticator app, then confirm with a code',
+          secret,
+          otpauthUri: buildOtpauthUri(secret, email, mfaConfig.issuer)
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          error: 'MFA_ALREADY_ENABLED'
+        };
+      }
+    } catch (error) {
+      logger.error('Begin TOTP enrollment error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Confirm a pending TOTP enrollment with a code from the authenticator app
+   * @param {string} email - User email
+   * @param {string} code - TOTP code
+   * @returns {Promise<Object>} Result object
+   */
+  static async confirmTotpEnrollment(email, code) {
+    try {
+      const secretResult = await pool.query('SELECT * FROM get_totp_secret($1)', [email]);
+      const enrollment = secretResult.rows[0];
+
+      if (!enrollment || enrollment.confirmed) {
+        return {
+          success: false,
+          message: enrollment ? 'Two-factor authentication is already enabled' : 'No pending two-factor enrollment',
+          error: enrollment ? 'MFA_ALREADY_ENABLED' : 'MFA_NOT_ENABLED'
+        };
+      }
+
+      const step = verifyTotpCode(decryptSecret(enrollment.secret_encrypted, getEncryptionKey()), code);
+
+      if (step === null) {
+        return {
+          success: false,
+          message: 'Invalid authentication code',
+          error: 'INVALID_MFA_CODE'
+        };
+      }
+
+      const query = 'SELECT confirm_totp_enrollment($1, $2, $3) as success';
+      const result = await pool.query(query, [email, enrollment.secret_encrypted, step]);
+
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Two-factor authentication enabled'
+        };
+      } else {
+        return {
+          success: false,
+          message: 'No pending two-factor enrollment',
+          error: 'MFA_NOT_ENABLED'
+        };
+      }
+    } catch (error) {
+      logger.error('Confirm TOTP enrollment error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Disable TOTP after checking a current code
+   * Like login, the code's time step must be later than the last one used, so a code
+   * seen once (e.g. at login) cannot be replayed to turn two-factor authentication off.
+   * @param {string} email - User email
+   * @param {string} code - TOTP code
+   * @returns {Promise<Object>} Result object
+   */
+  static async disableTotp(email, code) {
+    try {
+      const secretResult = await pool.query('SELECT * FROM get_totp_secret($1)', [email]);
+      const enrollment = secretResult.rows[0];
+
+      if (!enrollment || !enrollment.confirmed) {
+        return {
+          success: false,
+          message: 'Two-factor authentication is not enabled',
+          error: 'MFA_NOT_ENABLED'
+        };
+      }
+
+      const step = verifyTotpCode(decryptSecret(enrollment.secret_encrypted, getEncryptionKey()), code);
+      const result = step === null
+        ? null
+        : await pool.query('SELECT disable_totp($1, $2) as success', [email, step]);
+
+      // Wrong or replayed code
+      if (!result || !result.rows[0].success) {
+        return {
+          success: false,
+          message: 'Invalid authentication code',
+          error: 'INVALID_MFA_CODE'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Two-factor authentication disabled'
+      };
+    } catch (error) {
+      logger.error('Disable TOTP error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Issue a login challenge for a user whose password was verified
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object with the challenge token
+   */
+  static async createChallenge(email) {
+    try {
+      const { token, tokenHash } = generateToken();
+      const query = 'SELECT create_mfa_challenge($1, $2, $3) as success';
+      const result = await pool.query(query, [email, tokenHash, mfaConfig.challengeTtl]);
+
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          mfaToken: token,
+          expiresIn: mfaConfig.challengeTtl
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Two-factor authentication is not enabled',
+          error: 'MFA_NOT_ENABLED'
+        };
+      }
+    } catch (error) {
+      logger.error('Create MFA challenge error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Complete a login challenge with a TOTP code
+   * @param {string} mfaToken - Challenge token returned by login
+   * @param {string} code - TOTP code
+   * @returns {Promise<Object>} Result object with the account email
+   */
+  static async verifyChallenge(mfaToken, code) {
+    try {
+      const tokenHash = hashToken(mfaToken);
+      const challengeResult = await pool.query('SELECT * FROM get_mfa_challenge($1)', [tokenHash]);
+      const challenge = challengeResult.rows[0];
+
+      if (!challenge) {
+        return {
+          success: false,
+          message: 'Invalid or expired MFA challenge',
+          error: 'INVALID_TOKEN'
+        };
+      }
+
+      const step = verifyTotpCode(decryptSecret(challenge.secret_encrypted, getEncryptionKey()), code);
+      const completeResult = step === null
+        ? null
+        : await pool.query('SELECT complete_mfa_challenge($1, $2) as email', [tokenHash, step]);
+
+      if (completeResult && completeResult.rows[0].email) {
+        return {
+          success: true,
+          message: 'Authentication successful',
+          email: completeResult.rows[0].email
+        };
+      }
+
+      // Wrong or replayed code
+      const failResult = await pool.query('SELECT fail_mfa_challenge($1) as attempts_left', [tokenHash]);
+
+      return {
+        success: false,
+        message: 'Invalid authentication code',
+        error: 'INVALID_MFA_CODE',
+        attemptsLeft: failResult.rows[0].attempts_left
+      };
+    } catch (error) {
+      logger.error('Verify MFA challenge error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+}
@@ -0,0 +1,407 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import migrationConfig from '../config/migrations.js';
+
+/**
+ * Versioned database migrations
+ *
+ * Migrations are pairs of files in the migrations directory named
+ * `NNNN_name.up.sql` and `NNNN_name.down.sql`, applied in version order. Each one
+ * runs in its own transaction together with its row in the schema_migrations
+ * table, which records the SHA-256 checksum of the up file; applied migrations
+ * whose file has changed since are reported and block further runs.
+ */
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Objects the baseline migration creates (the former docker/postgres/init.sql), which a
+// database must contain before it is recorded as migrated without running the baseline
+const BASELINE_OBJECTS = {
+  tables: ['userauth'],
+  functions: [
+    'signup(integer, varchar, varchar)',
+    'authenticate(varchar, varchar)',
+    'get_user_details(varchar)',
+    'delete_user(varchar)',
+    'change_password(varchar, varchar, varchar)',
+    'change_email(varchar, varchar, varchar)',
+    'get_all_users()',
+    'user_exists(varchar)',
+    'ensure_indexes()',
+    'get_index_info()',
+    'test_index_performance(varchar)',
+    'update_updated_at_column()'
+  ],
+  roles: ['authuser']
+};
+
+/**
+ * Checksum of a migration file (line endings normalized, so checkouts with CRLF match)
+ * @param {string} sql - File contents
+ * @returns {string} Hex SHA-256 digest
+ */
+export const migrationChecksum = (sql) =>
+  crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+/**
+ * Read the migrations from a directory
+ * @param {string} directory - Migrations directory
+ * @returns {Promise<Array>} Migrations `{ version, name, up, down, checksum }` in version order
+ * (`up` and `down` are file paths, `down` is null for irreversible migrations)
+ */
+export const loadMigrations = async (directory) => {
+  const migrations = new Map();
+
+  for (const file of await fs.readdir(directory)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names (${migration.name}, ${name})`);
+    }
+
+    migration[direction] = path.join(directory, file);
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (const [index, migration] of sorted.entries()) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) has no up file`);
+    }
+    if (index > 0 && Number(migration.version) === Number(sorted[index - 1].version)) {
+      throw new Error(`Migration version ${Number(migration.version)} is used twice`);
+    }
+    migration.checksum = migrationChecksum(await fs.readFile(migration.up, 'utf8'));
+  }
+
+  return sorted;
+};
+
+export class MigrationService {
+  /**
+   * @param {import('pg').Pool} pool - Pool connected as the admin user
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Migrations directory
+   * @param {string} [options.table] - Tracking table name
+   * @param {number} [options.lockId] - Advisory lock key
+   * @param {Object} [options.settings] - Settings set for the transaction of each migration
+   * (name to value, read with current_setting() by the migration SQL)
+   * @param {Object} [options.databaseSettings] - Settings stored for the database after `up`
+   * (name to value)
+   */
+  constructor(pool, {
+    directory = migrationConfig.directory,
+    table = migrationConfig.table,
+    lockId = migrationConfig.lockId,
+    settings = migrationConfig.settings,
+    databaseSettings = migrationConfig.databaseSettings
+  } = {}) {
+    this.pool = pool;
+    this.directory = directory;
+    this.table = table;
+    this.lockId = lockId;
+    this.settings = settings || {};
+    this.databaseSettings = databaseSettings || {};
+  }
+
+  /**
+   * Applied and pending migrations
+   * @returns {Promise<Array>} Entries `{ version, name, state, appliedAt }` where state is
+   * 'applied', 'pending', 'modified' (file changed after it was applied) or 'missing'
+   * (applied but its file is gone)
+   */
+  async status() {
+    const migrations = await loadMigrations(this.directory);
+    const client = await this.pool.connect();
+
+    try {
+      const applied = await this.appliedMigrations(client);
+      return this.describe(migrations, applied);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Apply pending migrations, then store the database settings (also when nothing is
+   * pending, so that changed settings are applied by running `up` again)
+   * @param {Object} [options]
+   * @param {string} [options.to] - Last version to apply (defaults to all)
+   * @returns {Promise<Array>} Applied migrations
+   */
+  async up({ to } = {}) {
+    return this.withLock(async (client, migrations, applied) => {
+      const latest = applied.length > 0 ? Number(applied[applied.length - 1].version) : -1;
+
+      if (applied.length === 0 && await this.hasExistingSchema(client)) {
+        throw new Error('The database already contains the authentication schema but no migration history; record it with `npm run migrate baseline`');
+      }
+
+      const pending = migrations.filter((migration) =>
+        !applied.some((row) => Number(row.version) === Number(migration.version)) &&
+        (to === undefined || Number(migration.version) <= Number(to))
+      );
+
+      const outOfOrder = pending.find((migration) => Number(migration.version) < latest);
+      if (outOfOrder) {
+        throw new Error(`Migration ${outOfOrder.version} (${outOfOrder.name}) is older than the latest applied migration; give it a higher version`);
+      }
+
+      for (const migration of pending) {
+        await this.run(client, migration, 'up');
+      }
+
+      await this.applyDatabaseSettings(client);
+      return pending;
+    });
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} [options]
+   * @param {string} [options.to] - Version to revert back to (kept applied; 0 reverts everything).
+   * Without it only the latest migration is reverted, unless that is the baseline.
+   * @returns {Promise<Array>} Reverted migrations
+   */
+  async down({ to } = {}) {
+    return this.withLock(async (client, migrations, applied) => {
+      if (to === undefined && applied.length === 1) {
+        throw new Error(`Reverting ${applied[0].version} (${applied[0].name}) drops the whole schema and its data; pass --to 0 to confirm`);
+      }
+
+      const targets = (to === undefined ? applied.slice(-1) : applied.filter((row) => Number(row.version) > Number(to)))
+        .reverse()
+        .map((row) => migrations.find((migration) => Number(migration.version) === Number(row.version)));
+
+      const irreversible = targets.find((migration) => !migration.down);
+      if (irreversible) {
+        throw new Error(`Migration ${irreversible.version} (${irreversible.name}) has no down file`);
+      }
+
+      for (const migration of targets) {
+        await this.run(client, migration, 'down');
+      }
+
+      return targets;
+    });
+  }
+
+  /**
+   * Record the baseline migration as applied without running it, for databases
+   * created from the former docker/postgres/init.sql
+   * @returns {Promise<Object>} Baseline migration
+   */
+  async baseline() {
+    return this.withLock(async (client, migrations, applied) => {
+      const [baseline] = migrations;
+
+      if (!baseline) {
+        throw new Error(`No migrations found in ${this.directory}`);
+      }
+      if (applied.length > 0) {
+        throw new Error('The database already has a migration history');
+      }
+      if (!await this.hasExistingSchema(client)) {
+        throw new Error('The database has no authentication schema; apply the migrations with `npm run migrate up`');
+      }
+
+      const missing = await this.missingBaselineObjects(client);
+      if (missing.length > 0) {
+        throw new Error(`The database lacks objects of the baseline migration (${missing.join(', ')}); it was not created from the former init.sql and cannot be baselined`);
+      }
+
+      await client.query(
+        `INSERT INTO ${this.table} (version, name, checksum, execution_ms) VALUES ($1, $2, $3, 0)`,
+        [baseline.version, baseline.name, baseline.checksum]
+      );
+
+      return baseline;
+    });
+  }
+
+  /**
+   * Store the database settings with ALTER DATABASE ... SET, once the schema reading them
+   * (auth_setting(), migration 0002) exists. They apply to connections opened afterwards.
+   * @param {import('pg').PoolClient} client - Database client
+   */
+  async applyDatabaseSettings(client) {
+    const result = await client.query("SELECT to_regprocedure('auth_setting(text, integer)') IS NOT NULL AS ready");
+    if (!result.rows[0].ready) {
+      return;
+    }
+
+    for (const [name, value] of Object.entries(this.databaseSettings)) {
+      // The name is inserted as is (a custom setting is prefix.name); the value is quoted
+      if (!/^[a-z_]+\.[a-z_]+$/.test(name)) {
+        throw new Error(`Invalid database setting name: ${name}`);
+      }
+      const statement = await client.query(
+        "SELECT format('ALTER DATABASE %I SET %s = %L', current_database(), $1::text, $2::text) AS sql",
+        [name, String(value)]
+      );
+      await client.query(statement.rows[0].sql);
+    }
+  }
+
+  /**
+   * Run a migration file and update the tracking table in one transaction
+   * @param {import('pg').PoolClient} client - Locked client
+   * @param {Object} migration - Migration
+   * @param {string} direction - 'up' or 'down'
+   */
+  async run(client, migration, direction) {
+    const sql = await fs.readFile(migration[direction], 'utf8');
+    const started = Date.now();
+
+    try {
+      await client.query('BEGIN');
+      for (const [name, value] of Object.entries(this.settings)) {
+        await client.query('SELECT set_config($1, $2, true)', [name, value === undefined ? '' : String(value)]);
+      }
+      await client.query(sql);
+
+      if (direction === 'up') {
+        await client.query(
+          `INSERT INTO ${this.table} (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.name, migrationChecksum(sql), Date.now() - started]
+        );
+      } else {
+        await client.query(`DELETE FROM ${this.table} WHERE version = $1`, [migration.version]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        // Report why the migration failed, not the rollback (the connection is likely gone;
+        // withLock() then discards it)
+      }
+      error.message = `Migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Run a change holding the migration lock, after checking the applied
+   * migrations against their files
+   * @param {Function} fn - Called with (client, migrations, applied)
+   * @returns {Promise<*>} Result of fn
+   */
+  async withLock(fn) {
+    const migrations = await loadMigrations(this.directory);
+    const client = await this.pool.connect();
+    let releaseError;
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [this.lockId]);
+
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS ${this.table} (
+            version VARCHAR(32) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            execution_ms INTEGER NOT NULL
+          )
+        `);
+
+        const applied = await this.appliedMigrations(client);
+        const problem = this.describe(migrations, applied).find((entry) => entry.state === 'modified' || entry.state === 'missing');
+
+        if (problem) {
+          throw new Error(problem.state === 'modified'
+            ? `Migration ${problem.version} (${problem.name}) was modified after it was applied; add a new migration instead`
+            : `Migration ${problem.version} (${problem.name}) is applied but its file is missing`);
+        }
+
+        return await fn(client, migrations, applied);
+      } finally {
+        try {
+          await client.query('SELECT pg_advisory_unlock($1)', [this.lockId]);
+        } catch (unlockError) {
+          // Keep the error of the change; closing the connection releases the lock
+          releaseError = unlockError;
+        }
+      }
+    } finally {
+      client.release(releaseError);
+    }
+  }
+
+  /**
+   * Rows of the tracking table (none when it does not exist yet)
+   * @param {import('pg').PoolClient} client - Database client
+   * @returns {Promise<Array>} Applied migrations in version order
+   */
+  async appliedMigrations(client) {
+    const exists = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [this.table]);
+    if (!exists.rows[0].exists) {
+      return [];
+    }
+
+    const result = await client.query(`SELECT version, name, checksum, applied_at FROM ${this.table}`);
+    return result.rows.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Whether the authentication schema exists (userAuth table)
+   * @param {import('pg').PoolClient} client - Database client
+   * @returns {Promise<boolean>}
+   */
+  async hasExistingSchema(client) {
+    const result = await client.query("SELECT to_regclass('userauth') IS NOT NULL AS exists");
+    return result.rows[0].exists;
+  }
+
+  /**
+   * Objects of the baseline migration missing from the database
+   * @param {import('pg').PoolClient} client - Database client
+   * @returns {Promise<Array<string>>} Missing tables, function signatures and roles (none when complete)
+   */
+  async missingBaselineObjects(client) {
+    const result = await client.query(
+      `SELECT missing FROM unnest($1::text[]) AS missing WHERE to_regclass(missing) IS NULL
+       UNION ALL
+       SELECT missing FROM unnest($2::text[]) AS missing WHERE to_regprocedure(missing) IS NULL
+       UNION ALL
+       SELECT missing FROM unnest($3::text[]) AS missing WHERE NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = missing)`,
+      [BASELINE_OBJECTS.tables, BASELINE_OBJECTS.functions, BASELINE_OBJECTS.roles]
+    );
+    return result.rows.map((row) => row.missing);
+  }
+
+  /**
+   * Merge migration files and tracking rows into status entries
+   * @param {Array} migrations - Migrations from disk
+   * @param {Array} applied - Tracking table rows
+   * @returns {Array} Status entries in version order
+   */
+  describe(migrations, applied) {
+    const entries = migrations.map((migration) => {
+      const row = applied.find((record) => Number(record.version) === Number(migration.version));
+      let state = 'pending';
+
+      if (row) {
+        state = row.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+
+      return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+    });
+
+    applied
+      .filter((row) => !migrations.some((migration) => Number(migration.version) === Number(row.version)))
+      .forEach((row) => entries.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at }));
+
+    return entries.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+}
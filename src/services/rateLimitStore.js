@@ -0,0 +1,96 @@
+import pool from '../config/database.js';
+
+/**
+ * Rate limit stores count hits per key in fixed windows and report the counts of the
+ * current and previous window, from which the limiter derives a sliding window estimate.
+ *
+ * hit(key, windowSeconds) resolves to `{ current, previous, elapsedMs }` where
+ * `elapsedMs` is the time elapsed since the start of the current window.
+ */
+
+/**
+ * In-memory store for single instance deployments
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+
+    // Drop keys that have not been hit for two windows
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Record a hit for a key
+   * @param {string} key - Bucket key
+   * @param {number} windowSeconds - Window length in seconds
+   * @returns {Promise<Object>} Current/previous window counts and elapsed time
+   */
+  async hit(key, windowSeconds) {
+    const windowMs = windowSeconds * 1000;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.windowStart < windowStart - windowMs) {
+      entry = { windowStart, current: 0, previous: 0, windowMs };
+    } else if (entry.windowStart < windowStart) {
+      entry = { windowStart, current: 0, previous: entry.current, windowMs };
+    }
+
+    entry.current += 1;
+    this.windows.set(key, entry);
+
+    return {
+      current: entry.current,
+      previous: entry.previous,
+      elapsedMs: now - windowStart
+    };
+  }
+
+  /**
+   * Remove expired keys
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows) {
+      if (entry.windowStart + 2 * entry.windowMs <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * PostgreSQL store so limits hold across multiple app instances
+ */
+export class PostgresRateLimitStore {
+  /**
+   * Record a hit for a key using PostgreSQL function
+   * @param {string} key - Bucket key
+   * @param {number} windowSeconds - Window length in seconds
+   * @returns {Promise<Object>} Current/previous window counts and elapsed time
+   */
+  async hit(key, windowSeconds) {
+    const query = 'SELECT * FROM rate_limit_hit($1, $2)';
+    const result = await pool.query(query, [key, windowSeconds]);
+    const { current_hits: current, previous_hits: previous, elapsed_ms: elapsedMs } = result.rows[0];
+
+    return { current, previous, elapsedMs };
+  }
+}
+
+/**
+ * Create the store selected by configuration
+ * @param {string} type - 'memory' or 'postgres'
+ * @returns {MemoryRateLimitStore|PostgresRateLimitStore} Store instance
+ */
+export const createRateLimitStore = (type) => {
+  if (type === 'postgres') {
+    return new PostgresRateLimitStore();
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown rate limit store: ${type}`);
+  }
+  return new MemoryRateLimitStore();
+};
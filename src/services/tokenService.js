@@ -0,0 +1,178 @@
+import jwt from 'jsonwebtoken';
+import pool from '../config/database.js';
+import jwtConfig from '../config/jwt.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { databaseErrorResult } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Generate a new opaque refresh token
+ * @returns {{ token: string, tokenHash: string }}
+ */
+const generateRefreshToken = () => generateToken(48);
+
+/**
+ * Ensure a signing secret is configured before issuing or verifying tokens
+ * @returns {string} The JWT secret
+ */
+const getSecret = () => {
+  if (!jwtConfig.secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return jwtConfig.secret;
+};
+
+// Scope of access tokens restricted to changing the password
+export const PASSWORD_CHANGE_SCOPE = 'password_change';
+
+export class TokenService {
+  /**
+   * Sign a short-lived access token
+   * @param {string} id - Public user ID (token subject)
+   * @param {string} email - User email
+   * @param {string[]} roles - Role names granted to the user
+   * @returns {string} Signed JWT
+   */
+  static signAccessToken(id, email, roles = []) {
+    return jwt.sign({ email, roles }, getSecret(), {
+      subject: String(id),
+      issuer: jwtConfig.issuer,
+      expiresIn: jwtConfig.accessTokenTtl
+    });
+  }
+
+  /**
+   * Sign an access token that only allows changing the password
+   * Issued by login while the password must be changed (see requireAuth).
+   * @param {string} id - Public user ID (token subject)
+   * @param {string} email - User email
+   * @returns {Object} Token fields (no refresh token)
+   */
+  static issuePasswordChangeToken(id, email) {
+    return {
+      accessToken: jwt.sign({ email, roles: [], scope: PASSWORD_CHANGE_SCOPE }, getSecret(), {
+        subject: String(id),
+        issuer: jwtConfig.issuer,
+        expiresIn: jwtConfig.accessTokenTtl
+      }),
+      tokenType: 'Bearer',
+      expiresIn: jwtConfig.accessTokenTtl
+    };
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - Signed JWT
+   * @returns {Object|null} Decoded payload, or null if the token is invalid or expired
+   */
+  static verifyAccessToken(token) {
+    try {
+      return jwt.verify(token, getSecret(), { issuer: jwtConfig.issuer });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the token response body
+   * @param {string} id - Public user ID
+   * @param {string} email - User email
+   * @param {string[]} roles - Role names granted to the user
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object} Token fields
+   */
+  static buildTokenResponse(id, email, roles, refreshToken) {
+    return {
+      accessToken: TokenService.signAccessToken(id, email, roles),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: jwtConfig.accessTokenTtl
+    };
+  }
+
+  /**
+   * Issue an access token and a new refresh token family for an authenticated user
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Result object
+   */
+  static async issueTokens(email) {
+    try {
+      const { token, tokenHash } = generateRefreshToken();
+      const query = 'SELECT * FROM create_refresh_token($1, $2, $3)';
+      const result = await pool.query(query, [email, tokenHash, jwtConfig.refreshTokenTtl]);
+      const { public_id: id, roles } = result.rows[0];
+
+      return {
+        success: true,
+        id,
+        roles,
+        ...TokenService.buildTokenResponse(id, email, roles, token)
+      };
+    } catch (error) {
+      logger.error('Issue tokens error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<Object>} Result object
+   */
+  static async refresh(refreshToken) {
+    try {
+      const { token, tokenHash } = generateRefreshToken();
+      const query = 'SELECT * FROM rotate_refresh_token($1, $2, $3)';
+      const result = await pool.query(query, [hashToken(refreshToken), tokenHash, jwtConfig.refreshTokenTtl]);
+
+      if (result.rows.length > 0) {
+        const { public_id: id, email, roles } = result.rows[0];
+        return {
+          success: true,
+          message: 'Token refreshed successfully',
+          id,
+          email,
+          roles,
+          ...TokenService.buildTokenResponse(id, email, roles, token)
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Invalid or expired refresh token',
+          error: 'INVALID_TOKEN'
+        };
+      }
+    } catch (error) {
+      logger.error('Refresh token error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+
+  /**
+   * Revoke a refresh token (and every token rotated from it)
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<Object>} Result object
+   */
+  static async revoke(refreshToken) {
+    try {
+      const query = 'SELECT revoke_refresh_token($1) as success';
+      const result = await pool.query(query, [hashToken(refreshToken)]);
+
+      if (result.rows[0].success) {
+        return {
+          success: true,
+          message: 'Logged out successfully'
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Invalid refresh token',
+          error: 'INVALID_TOKEN'
+        };
+      }
+    } catch (error) {
+      logger.error('Revoke token error', { err: error });
+      return databaseErrorResult(error);
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { domainToASCII } from 'node:url';
+import authConfig from '../config/auth.js';
+
+/**
+ * Email address normalization
+ * Mirrors normalize_email() in migrations/0002_authentication_features.up.sql, so addresses reach the
+ * database in the form they are stored in. Accounts are matched case-insensitively
+ * either way; normalizing first keeps responses, tokens and rate limit keys
+ * consistent with the stored address.
+ */
+
+/**
+ * Normalize an email address: surrounding whitespace removed, Unicode NFC,
+ * domain lowercased and converted to punycode (IDN), local part lowercased
+ * unless EMAIL_LOWERCASE_LOCAL_PART=false
+ * @param {string} email - Email address
+ * @param {Object} [options]
+ * @param {boolean} [options.lowercaseLocalPart] - Lowercase the local part (defaults to the configured policy)
+ * @returns {string} Normalized address (non-string values are returned unchanged)
+ */
+export const normalizeEmail = (email, { lowercaseLocalPart = authConfig.emailLowercaseLocalPart } = {}) => {
+  if (typeof email !== 'string') {
+    return email;
+  }
+
+  const address = email.trim().normalize('NFC');
+  const at = address.lastIndexOf('@');
+  const localPart = at === -1 ? address : address.slice(0, at);
+  const normalizedLocalPart = lowercaseLocalPart ? localPart.toLowerCase() : localPart;
+
+  if (at === -1) {
+    return normalizedLocalPart;
+  }
+
+  // domainToASCII() returns '' for invalid domains; keep those as typed (lowercased)
+  const domain = address.slice(at + 1).toLowerCase();
+  return `${normalizedLocalPart}@${domainToASCII(domain) || domain}`;
+};
+
+/**
+ * Case-insensitive identity of an email address (see email_key() in SQL)
+ * @param {string} email - Email address
+ * @returns {string} Key equal for addresses identifying the same account
+ */
+export const emailKey = (email) => normalizeEmail(email, { lowercaseLocalPart: true });
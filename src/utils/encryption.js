@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+
+/**
+ * Symmetric encryption of small secrets stored in the database (AES-256-GCM).
+ * Encrypted values have the form `v1.<iv>.<authTag>.<ciphertext>` (base64url parts).
+ */
+
+const VERSION = 'v1';
+
+/**
+ * Parse an encryption key given as 64 hex characters
+ * @param {string} key - Hex encoded key
+ * @returns {Buffer} 32 byte key
+ */
+const parseKey = (key) => {
+  if (typeof key !== 'string' || !/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('Encryption key must be 32 bytes encoded as 64 hex characters');
+  }
+  return Buffer.from(key, 'hex');
+};
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} key - Hex encoded 32 byte key
+ * @returns {string} Encrypted value
+ */
+export const encryptSecret = (plaintext, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', parseKey(key), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+};
+
+/**
+ * Decrypt a value produced by encryptSecret()
+ * @param {string} encrypted - Encrypted value
+ * @param {string} key - Hex encoded 32 byte key
+ * @returns {string} Plaintext
+ */
+export const decryptSecret = (encrypted, key) => {
+  const [version, iv, authTag, ciphertext] = encrypted.split('.');
+
+  if (version !== VERSION || !iv || !authTag || ciphertext === undefined) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', parseKey(key), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
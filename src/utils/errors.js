@@ -0,0 +1,103 @@
+import config from '../config/index.js';
+
+/**
+ * Error code catalogue
+ * Every failed result carries a stable, machine-readable code in its `error`
+ * field; clients should branch on the code, never on `message`. The SQL
+ * functions raise the database-side codes with dedicated SQLSTATEs (class
+ * `AU`, see migrations/).
+ */
+
+export const ErrorCodes = {
+  VALIDATION_ERROR: { status: 400, message: 'Invalid request' },
+  WEAK_PASSWORD: { status: 400, message: 'Password does not meet the password requirements' },
+  PASSWORD_REUSED: { status: 400, message: 'Password was used recently, choose a different one' },
+  AUTHENTICATION_REQUIRED: { status: 401, message: 'Authentication required' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Invalid credentials' },
+  INVALID_TOKEN: { status: 401, message: 'Invalid or expired token' },
+  INVALID_MFA_CODE: { status: 401, message: 'Invalid authentication code' },
+  FORBIDDEN: { status: 403, message: 'Forbidden' },
+  EMAIL_NOT_VERIFIED: { status: 403, message: 'Email address must be verified first' },
+  PASSWORD_CHANGE_REQUIRED: { status: 403, message: 'Password must be changed before continuing' },
+  NOT_FOUND: { status: 404, message: 'Not found' },
+  USER_NOT_FOUND: { status: 404, message: 'User not found' },
+  ROLE_NOT_FOUND: { status: 404, message: 'Role not found' },
+  EMAIL_TAKEN: { status: 409, message: 'Email address is already in use' },
+  ROLE_EXISTS: { status: 409, message: 'Role already exists' },
+  ROLE_NOT_ASSIGNED: { status: 409, message: 'User does not have this role' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body is too large' },
+  MFA_ALREADY_ENABLED: { status: 409, message: 'Two-factor authentication is already enabled' },
+  MFA_NOT_ENABLED: { status: 409, message: 'Two-factor authentication is not enabled' },
+  ACCOUNT_LOCKED: { status: 423, message: 'Account is temporarily locked due to too many failed password attempts' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests, please try again later' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal server error' }
+};
+
+/**
+ * SQLSTATEs raised by the SQL functions and the error codes they stand for
+ */
+export const SqlStateCodes = {
+  AU001: 'EMAIL_TAKEN',
+  AU002: 'USER_NOT_FOUND',
+  AU003: 'WEAK_PASSWORD',
+  AU004: 'ROLE_EXISTS',
+  AU005: 'ROLE_NOT_FOUND',
+  AU006: 'ROLE_NOT_ASSIGNED',
+  AU007: 'PASSWORD_REUSED',
+  AU008: 'ACCOUNT_LOCKED'
+};
+
+/**
+ * Whether internal error messages (SQL text, stack details) may be sent to clients
+ * @returns {boolean} True in development only
+ */
+export const exposeErrorDetails = () => config.env === 'development';
+
+/**
+ * Build a failed result object
+ * @param {string} code - Error code from `ErrorCodes`
+ * @param {string} [message] - Client-facing message (defaults to the catalogue message)
+ * @param {Object} [extra] - Additional fields
+ * @returns {Object} Result object
+ */
+export const errorResult = (code, message = ErrorCodes[code].message, extra = {}) => ({
+  success: false,
+  message,
+  error: code,
+  ...extra
+});
+
+/**
+ * Build the result for an unexpected error
+ * The original message is attached as `detail` in development only.
+ * @param {Error} error - The error
+ * @returns {Object} Result object
+ */
+export const internalErrorResult = (error) =>
+  errorResult('INTERNAL_ERROR', undefined, exposeErrorDetails() ? { detail: error.message } : {});
+
+/**
+ * Translate a database error into a result object
+ * Errors raised with a catalogued SQLSTATE keep their code; anything else is internal.
+ * @param {Error} error - Error thrown by `pg`
+ * @returns {Object} Result object
+ */
+export const databaseErrorResult = (error) => {
+  const code = SqlStateCodes[error.code];
+  return code ? errorResult(code) : internalErrorResult(error);
+};
+
+/**
+ * HTTP status for a failed result
+ * @param {Object} result - Result object with an `error` code
+ * @returns {number} HTTP status code
+ */
+export const httpStatus = (result) => (ErrorCodes[result.error] || ErrorCodes.INTERNAL_ERROR).status;
+
+/**
+ * Send a failed result with the status mapped from its error code
+ * @param {Response} res - Express response object
+ * @param {Object} result - Result object with an `error` code
+ * @returns {Response} Express response
+ */
+export const sendError = (res, result) => res.status(httpStatus(result)).json(result);
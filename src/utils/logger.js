@@ -0,0 +1,105 @@
+import config from '../config/index.js';
+import { getRequestContext } from './requestContext.js';
+
+/**
+ * Structured logger
+ * Writes one JSON object per line: `time`, `level`, `msg`, the `requestId` of the
+ * current request (see src/utils/requestContext.js) and the given fields. Values
+ * of fields whose names end in a password, token, secret, key or credentials
+ * header word (newPassword, refreshToken, mfaSecret, x-api-key, cookie, ...) are
+ * replaced by "[REDACTED]" at any depth, and errors are reduced to their name,
+ * message, code and stack, so neither request bodies nor credentials reach the logs.
+ */
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Field names whose values are never logged. Anchored at the end, so fields that
+// only describe a secret (passwordExpiresAt, passwordChangeRequired, tokenType) are kept
+const SECRET_FIELD = /(pass(word|phrase)?|token|secret|authorization|cookie|(api|encryption|secret|private)[-_]?key|otpauth([-_]?(uri|url))?|(password|token)[-_]?hash)s?$/i;
+
+let writeLine = (line) => process.stdout.write(`${line}\n`);
+
+/**
+ * Redact secrets and serialize errors
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current nesting depth
+ * @param {WeakSet} [ancestors] - Objects on the path to the value (circular references);
+ * an object referenced twice elsewhere in the entry is logged both times
+ * @returns {*} JSON-safe copy
+ */
+export const redact = (value, depth = 0, ancestors = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  ancestors.add(value);
+  try {
+    if (value instanceof Error) {
+      return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth, ancestors);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(item, depth + 1, ancestors));
+    }
+
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, SECRET_FIELD.test(key) ? REDACTED : redact(item, depth + 1, ancestors)]));
+  } finally {
+    ancestors.delete(value);
+  }
+};
+
+/**
+ * Replace the output (tests capture log lines with it)
+ * @param {Function} write - Called with each JSON line (without newline); null restores stdout
+ */
+export const setLogDestination = (write) => {
+  writeLine = write || ((line) => process.stdout.write(`${line}\n`));
+};
+
+/**
+ * Create a logger
+ * @param {Object} [bindings] - Fields added to every entry
+ * @returns {Object} Logger with debug, info, warn and error methods `(msg, fields)` and child(bindings)
+ */
+export const createLogger = (bindings = {}) => {
+  const log = (level) => (msg, fields = {}) => {
+    if (LEVELS[level] < LEVELS[config.logging.level]) {
+      return;
+    }
+
+    const context = getRequestContext();
+    writeLine(JSON.stringify(redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      requestId: context ? context.requestId : undefined,
+      ...bindings,
+      ...fields
+    })));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+  };
+};
+
+const logger = createLogger();
+
+export default logger;
@@ -0,0 +1,235 @@
+/**
+ * Metrics in the Prometheus text exposition format (version 0.0.4)
+ * Counters, gauges and histograms keyed by label values, collected by a
+ * registry that renders them for GET /metrics.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from fast lookups to slow bcrypt rounds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Render a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{name="value",...}` or '' without labels
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Render a sample value (Prometheus spells infinities +Inf/-Inf)
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return value === -Infinity ? '-Inf' : String(value);
+};
+
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Names of the labels every sample carries
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series of a label set, created on first use
+   * @param {Object} labels - Label values
+   * @param {Function} create - Builds a new series
+   * @returns {Object} Series `{ labels, ... }`
+   */
+  seriesFor(labels, create) {
+    const values = this.labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      const normalized = Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * HELP and TYPE lines
+   * @returns {string[]}
+   */
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [value] - Amount (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)];
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Object} [options]
+   * @param {string[]} [options.labelNames] - Label names
+   * @param {Function} [options.collect] - Returns the current value when rendering (unlabelled gauges)
+   */
+  constructor(name, help, { labelNames, collect } = {}) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.set({}, this.collect());
+    }
+    return [...this.header(), ...[...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)];
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Object} [options]
+   * @param {string[]} [options.labelNames] - Label names
+   * @param {number[]} [options.buckets] - Upper bounds in ascending order
+   */
+  constructor(name, help, { labelNames, buckets = DEFAULT_BUCKETS } = {}) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start timing an operation
+   * @returns {Function} Call with the labels to record the elapsed seconds
+   */
+  startTimer() {
+    const started = process.hrtime.bigint();
+    return (labels = {}) => this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Add a metric (names must be unique)
+   * @param {Metric} metric - Metric to expose
+   * @returns {Metric} The metric
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric
+   * @returns {string} Exposition text
+   */
+  render() {
+    return `${[...this.metrics.values()].flatMap((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Metrics of this process
+export const registry = new Registry();
+
+export const httpRequestsTotal = registry.register(new Counter(
+  'http_requests_total',
+  'HTTP requests by method, route and status code',
+  ['method', 'route', 'status']
+));
+
+export const httpRequestDuration = registry.register(new Histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by method, route and status code',
+  { labelNames: ['method', 'route', 'status'] }
+));
+
+export const authLoginAttempts = registry.register(new Counter(
+  'auth_login_attempts_total',
+  'Password login attempts by result (success, failure, locked, error)',
+  ['result']
+));
+
+export const dbFunctionDuration = registry.register(new Histogram(
+  'db_function_duration_seconds',
+  'Latency of the SQL functions called by the API, by function and outcome',
+  { labelNames: ['function', 'outcome'], buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5] }
+));
@@ -0,0 +1,102 @@
+import passwordPolicyConfig from '../config/passwordPolicy.js';
+
+/**
+ * Password policy checks
+ * One implementation shared by request validation and the services, so that
+ * signup, password change and password reset enforce identical rules.
+ */
+
+const CHARACTER_CLASSES = [
+  { rule: 'requireLowercase', pattern: /[a-z]/, size: 26, message: 'Password must contain a lowercase letter' },
+  { rule: 'requireUppercase', pattern: /[A-Z]/, size: 26, message: 'Password must contain an uppercase letter' },
+  { rule: 'requireDigit', pattern: /[0-9]/, size: 10, message: 'Password must contain a digit' },
+  { rule: 'requireSymbol', pattern: /[^a-zA-Z0-9]/, size: 33, message: 'Password must contain a symbol' }
+];
+
+/**
+ * Estimate the entropy of a password in bits
+ * Rough estimate: length times log2 of the size of the character classes used,
+ * with repeated characters counting half.
+ * @param {string} password - Password
+ * @returns {number} Estimated entropy (bits, one decimal)
+ */
+export const estimateEntropyBits = (password) => {
+  const poolSize = CHARACTER_CLASSES
+    .filter(({ pattern }) => pattern.test(password))
+    .reduce((sum, { size }) => sum + size, 0);
+
+  if (poolSize === 0) {
+    return 0;
+  }
+
+  const characters = [...password];
+  const distinct = new Set(characters).size;
+  const effectiveLength = distinct + (characters.length - distinct) / 2;
+
+  return Math.round(effectiveLength * Math.log2(poolSize) * 10) / 10;
+};
+
+/**
+ * Check a password against the password policy
+ * @param {string} password - Candidate password
+ * @param {Object} [context]
+ * @param {string} [context.email] - Email of the account (for the `disallowEmail` rule)
+ * @param {Object} [policy] - Policy (defaults to the configured one)
+ * @returns {{ valid: boolean, violations: Array<{ rule: string, message: string }>, entropyBits: number }}
+ */
+export const checkPasswordPolicy = (password, { email } = {}, policy = passwordPolicyConfig) => {
+  const violations = [];
+  const length = [...password].length;
+  const lowered = password.toLowerCase();
+
+  if (length < policy.minLength) {
+    violations.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters long` });
+  }
+
+  if (length > policy.maxLength) {
+    violations.push({ rule: 'maxLength', message: `Password must be at most ${policy.maxLength} characters long` });
+  }
+
+  for (const { rule, pattern, message } of CHARACTER_CLASSES) {
+    if (policy[rule] && !pattern.test(password)) {
+      violations.push({ rule, message });
+    }
+  }
+
+  if (policy.disallowEmail && typeof email === 'string' && email) {
+    const address = email.toLowerCase();
+    const localPart = address.split('@')[0];
+
+    if (lowered.includes(address) || (localPart.length >= 3 && lowered.includes(localPart))) {
+      violations.push({ rule: 'disallowEmail', message: 'Password must not contain your email address' });
+    }
+  }
+
+  if (policy.disallowCommon && policy.commonPasswords.has(lowered)) {
+    violations.push({ rule: 'disallowCommon', message: 'Password is too common' });
+  }
+
+  const entropyBits = estimateEntropyBits(password);
+  if (policy.minEntropyBits > 0 && entropyBits < policy.minEntropyBits) {
+    violations.push({ rule: 'minEntropyBits', message: 'Password is too easy to guess; use a longer password or more kinds of characters' });
+  }
+
+  return { valid: violations.length === 0, violations, entropyBits };
+};
+
+/**
+ * Public description of the password policy (for clients rendering the rules)
+ * @param {Object} [policy] - Policy (defaults to the configured one)
+ * @returns {Object} Policy rules
+ */
+export const describePasswordPolicy = (policy = passwordPolicyConfig) => ({
+  minLength: policy.minLength,
+  maxLength: policy.maxLength,
+  requireLowercase: policy.requireLowercase,
+  requireUppercase: policy.requireUppercase,
+  requireDigit: policy.requireDigit,
+  requireSymbol: policy.requireSymbol,
+  disallowEmail: policy.disallowEmail,
+  disallowCommon: policy.disallowCommon,
+  minEntropyBits: policy.minEntropyBits
+});
@@ -0,0 +1,23 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-request context shared with code that has no access to `req`
+ * (e.g. the database pool, which forwards it to the SQL functions for the audit log).
+ * The context is a plain object: `{ requestId, route, ip, userAgent, actor }`.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - Request context
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the context of the current request
+ * @returns {Object|undefined} Request context, or undefined outside a request
+ */
+export const getRequestContext = () => storage.getStore();
@@ -0,0 +1,63 @@
+/**
+ * Graceful shutdown
+ * Once draining starts the HTTP server stops accepting connections, idle
+ * keep-alive connections are closed and requests still in flight are allowed to
+ * finish (their responses carry `Connection: close`). Connections left when the
+ * timeout expires are destroyed.
+ */
+
+let draining = false;
+let activeRequests = 0;
+
+/**
+ * Whether the server is draining (readiness checks should fail)
+ * @returns {boolean}
+ */
+export const isShuttingDown = () => draining;
+
+/**
+ * Number of requests currently being handled
+ * @returns {number}
+ */
+export const activeRequestCount = () => activeRequests;
+
+/**
+ * Request tracking middleware; register it first so every request is counted
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const trackRequests = (req, res, next) => {
+  activeRequests += 1;
+  res.once('close', () => {
+    activeRequests -= 1;
+  });
+
+  // Keep-alive clients must reconnect elsewhere once draining started
+  if (draining) {
+    res.set('Connection', 'close');
+  }
+
+  next();
+};
+
+/**
+ * Stop accepting connections and wait for in-flight requests
+ * @param {import('http').Server} server - HTTP server
+ * @param {number} timeoutMs - Longest time to wait before destroying the remaining connections
+ * @returns {Promise<boolean>} True when all requests finished in time
+ */
+export const drainServer = (server, timeoutMs) => new Promise((resolve) => {
+  draining = true;
+
+  const timer = setTimeout(() => {
+    server.closeAllConnections();
+    resolve(false);
+  }, timeoutMs);
+
+  server.close(() => {
+    clearTimeout(timer);
+    resolve(true);
+  });
+  server.closeIdleConnections();
+});
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+/**
+ * Opaque token utilities
+ * Tokens handed to clients (refresh, password reset, ...) are random strings;
+ * only their SHA-256 hash is ever sent to the database.
+ */
+
+/**
+ * Hash an opaque token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a new random token and its hash
+ * @param {number} bytes - Number of random bytes
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export const generateToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
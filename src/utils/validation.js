@@ -1,3 +1,6 @@
+import { checkPasswordPolicy } from './passwordPolicy.js';
+import { errorResult } from './errors.js';
+
 /**
  * Validation utilities for authentication
  */
@@ -17,22 +20,40 @@ export const isValidEmail = (email) => {
 };
 
 /**
- * Validate password strength
+ * Validate password strength against the password policy (see src/utils/passwordPolicy.js)
  * @param {string} password - Password to validate
- * @returns {Object} - Validation result with isValid and message
+ * @param {Object} [context]
+ * @param {string} [context.email] - Email of the account
+ * @returns {Object} - Validation result with isValid, message and the policy violations
  */
-export const validatePassword = (password) => {
+export const validatePassword = (password, { email } = {}) => {
   if (!password || typeof password !== 'string') {
-    return { isValid: false, message: 'Password is required' };
+    return { isValid: false, message: 'Password is required', violations: [] };
   }
   
-  if (password.length < 6) {
-    return { isValid: false, message: 'Password must be at least 6 characters long' };
+  const { valid, violations } = checkPasswordPolicy(password, { email });
+  
+  if (!valid) {
+    return { isValid: false, message: violations.map((violation) => violation.message).join('; '), violations };
   }
   
-  return { isValid: true, message: 'Password is valid' };
+  return { isValid: true, message: 'Password is valid', violations };
 };
 
+/**
+ * Build the WEAK_PASSWORD result for rejected passwords
+ * Request validation (see src/middleware/validate.js) and the services, which check
+ * rules needing data from the database (the email of a reset token's account), answer
+ * with the same shape: every rejected field in `errors` and their policy violations in
+ * `violations`. Only request validation knows the `location` of a field.
+ * @param {Array<{ location?: string, field: string, message: string, violations: Array }>} errors - Rejected password fields
+ * @returns {Object} Result object
+ */
+export const weakPasswordResult = (errors) => errorResult('WEAK_PASSWORD', undefined, {
+  errors: errors.map(({ violations, ...error }) => ({ ...error, code: 'WEAK_PASSWORD' })),
+  violations: errors.flatMap((error) => error.violations || [])
+});
+
 /**
  * Validate user ID
  * @param {number} userId - User ID to validate
@@ -54,3 +75,116 @@ export const sanitizeString = (input) => {
   
   return input.trim().replace(/[<>]/g, '');
 };
+
+/**
+ * Maximum length of string fields (the VARCHAR(255) columns)
+ */
+export const MAX_STRING_LENGTH = 255;
+
+/**
+ * Check a single present value against a field rule
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ * @param {Object} rule - Field rule (see validateFields)
+ * @param {Object} data - The whole object being validated
+ * @returns {Object} `{ value }` (converted value) or `{ message, code }`
+ */
+const checkField = (name, value, rule, data) => {
+  if (rule.type === 'userId') {
+    return isValidUserId(value) ? { value } : { message: `${name} must be a positive integer` };
+  }
+
+  if (rule.type === 'integer') {
+    // Query string values arrive as strings
+    const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+
+    if (!Number.isInteger(number)) {
+      return { message: `${name} must be an integer` };
+    }
+    if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+      return { message: `${name} must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}` };
+    }
+    return { value: number };
+  }
+
+  // String based types: string, email, password, date
+  if (typeof value !== 'string') {
+    return { message: `${name} must be a string` };
+  }
+
+  const maxLength = rule.maxLength ?? MAX_STRING_LENGTH;
+  if (value.length > maxLength) {
+    return { message: `${name} must be at most ${maxLength} characters long` };
+  }
+
+  if (rule.type === 'email' && !isValidEmail(value)) {
+    return { message: `${name} must be a valid email address` };
+  }
+
+  if (rule.type === 'password') {
+    const { isValid, message, violations } = validatePassword(value, { email: data[rule.emailField] });
+    if (!isValid) {
+      return { message, code: 'WEAK_PASSWORD', violations };
+    }
+  }
+
+  if (rule.type === 'date' && Number.isNaN(Date.parse(value))) {
+    return { message: `${name} must be an ISO 8601 date` };
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return { message: rule.patternMessage || `${name} has an invalid format` };
+  }
+
+  return { value: rule.normalize ? rule.normalize(value) : value };
+};
+
+/**
+ * Validate an object against a schema of field rules
+ * A rule is `{ type, required, default, maxLength, min, max, pattern, patternMessage, emailField, normalize }`
+ * where type is one of 'string', 'email', 'password', 'date', 'integer' or 'userId'.
+ * String types are limited to MAX_STRING_LENGTH characters unless `maxLength` is set;
+ * passwords are checked against the password policy, with the account email taken
+ * from the field named by `emailField`. `normalize` converts valid string values
+ * (e.g. normalizeEmail()).
+ * @param {Object} data - Object to validate (request body, query or params)
+ * @param {Object} schema - Field name to rule map
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnknown] - Accept fields missing from the schema
+ * @returns {{ values: Object, errors: Array<{ field: string, message: string, code: string, violations?: Array }> }}
+ * (`violations` lists the password policy violations of WEAK_PASSWORD errors)
+ */
+export const validateFields = (data, schema, { allowUnknown = false } = {}) => {
+  const values = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = data[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push({ field, message: `${field} is required`, code: 'VALIDATION_ERROR' });
+      } else if (rule.default !== undefined) {
+        values[field] = rule.default;
+      }
+      continue;
+    }
+
+    const result = checkField(field, value, rule, data);
+    if (result.message) {
+      errors.push({ field, message: result.message, code: result.code || 'VALIDATION_ERROR', ...(result.violations && { violations: result.violations }) });
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  if (!allowUnknown) {
+    for (const field of Object.keys(data)) {
+      if (!Object.hasOwn(schema, field)) {
+        errors.push({ field, message: `Unknown field: ${field}`, code: 'VALIDATION_ERROR' });
+      }
+    }
+  }
+
+  return { values, errors };
+};